@@ -0,0 +1,244 @@
+/**
+ * AdminSettings class: loads /api/config into the settings form and saves changes back
+ */
+class AdminSettings {
+  constructor() {
+    this.form = document.getElementById('settingsForm');
+    this.zoneRows = document.getElementById('zoneRows');
+    this.statusElement = document.getElementById('adminStatus');
+
+    this.init();
+  }
+
+  init() {
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+    document.getElementById('addZone').addEventListener('click', () => {
+      this.addZoneRow({ id: '', label: '', siteUrl: '', ownToken: false });
+    });
+    document.getElementById('resetSettings').addEventListener('click', () => this.reset());
+    this.zoneRows.addEventListener('click', (event) => {
+      const button = event.target.closest('.zone-remove');
+      if (button) button.closest('tr').remove();
+    });
+
+    this.load();
+  }
+
+  async request(method, body) {
+    const response = await fetch('/api/config', {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+    return data;
+  }
+
+  async load() {
+    try {
+      this.render(await this.request('GET'));
+    } catch (error) {
+      this.setStatus(`Failed to load settings: ${error.message}`, 'error');
+    }
+  }
+
+  render({ settings, options, overridden }) {
+    // The display command form offers the same themes and layouts
+    if (window.adminDisplays) window.adminDisplays.renderOptions(options);
+    const fields = this.form.elements;
+    fields.theme.innerHTML = options.themes.map(theme => `<option value="${escapeHtml(theme)}">${escapeHtml(theme)}</option>`).join('');
+    fields.defaultLayout.innerHTML = options.layouts.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    fields.refreshInterval.min = options.refreshInterval.min;
+    fields.refreshInterval.max = options.refreshInterval.max;
+
+    fields.refreshInterval.value = settings.refreshInterval;
+    fields.theme.value = settings.theme;
+    fields.defaultLayout.value = settings.defaultLayout;
+    fields.zoneRotateInterval.value = settings.zoneRotateInterval;
+    document.body.dataset.theme = settings.theme;
+
+    this.zoneRows.innerHTML = '';
+    settings.zones.forEach(zone => this.addZoneRow(zone));
+
+    document.querySelectorAll('[data-overridden]').forEach(el => {
+      el.hidden = !overridden.includes(el.dataset.overridden);
+    });
+  }
+
+  // Tokens are never sent to the browser; leaving the field empty keeps the zone's current one
+  addZoneRow(zone) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td><input data-zone-field="id" value="${escapeHtml(zone.id)}" required></td>
+      <td><input data-zone-field="label" value="${escapeHtml(zone.label)}"></td>
+      <td><input data-zone-field="siteUrl" type="url" value="${escapeHtml(zone.siteUrl)}" placeholder="https://example.com"></td>
+      <td><input data-zone-field="apiToken" type="password" autocomplete="off" placeholder="${zone.ownToken ? 'Own token (unchanged)' : 'Default token'}"></td>
+      <td><button type="button" class="admin-button zone-remove">Remove</button></td>
+    `;
+    this.zoneRows.appendChild(row);
+  }
+
+  collect() {
+    const fields = this.form.elements;
+    return {
+      refreshInterval: parseInt(fields.refreshInterval.value, 10),
+      theme: fields.theme.value,
+      defaultLayout: fields.defaultLayout.value,
+      zoneRotateInterval: parseInt(fields.zoneRotateInterval.value, 10) || 0,
+      zones: Array.from(this.zoneRows.querySelectorAll('tr')).map(row => {
+        const value = name => row.querySelector(`[data-zone-field="${name}"]`).value.trim();
+        const zone = { id: value('id'), label: value('label'), siteUrl: value('siteUrl') };
+        if (value('apiToken')) zone.apiToken = value('apiToken');
+        return zone;
+      }),
+    };
+  }
+
+  async save() {
+    this.setStatus('Saving...', '');
+    try {
+      const result = await this.request('PUT', this.collect());
+      this.render(result);
+      this.setStatus(result.changed.length > 0 ? `Applied: ${result.changed.join(', ')}` : 'Saved, nothing changed', 'success');
+    } catch (error) {
+      this.setStatus(error.message, 'error');
+    }
+  }
+
+  async reset() {
+    if (!window.confirm('Discard the saved settings and use the environment values?')) return;
+    try {
+      const result = await this.request('DELETE');
+      this.render(result);
+      this.setStatus('Back to the environment values', 'success');
+    } catch (error) {
+      this.setStatus(error.message, 'error');
+    }
+  }
+
+  setStatus(text, state) {
+    this.statusElement.textContent = text;
+    this.statusElement.className = `admin-status ${state}`;
+  }
+}
+
+/**
+ * AdminDisplays class: lists the displays connected to the live stream and sends them commands
+ */
+class AdminDisplays {
+  constructor() {
+    this.rows = document.getElementById('displayRows');
+    this.form = document.getElementById('commandForm');
+    this.statusElement = document.getElementById('commandStatus');
+    this.displays = [];
+
+    this.init();
+  }
+
+  init() {
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.send();
+    });
+    this.form.elements.type.addEventListener('change', () => this.updateFields());
+    document.getElementById('refreshDisplays').addEventListener('click', () => this.load());
+    this.updateFields();
+    this.load();
+  }
+
+  renderOptions(options) {
+    const fields = this.form.elements;
+    fields.theme.innerHTML = options.themes.map(theme => `<option value="${escapeHtml(theme)}">${escapeHtml(theme)}</option>`).join('');
+    fields.layout.innerHTML = options.layouts.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+  }
+
+  // Only the inputs the chosen command uses are shown
+  updateFields() {
+    const fields = this.form.elements;
+    const type = fields.type.value;
+    fields.theme.hidden = type !== 'theme';
+    fields.layout.hidden = type !== 'layout';
+    fields.text.hidden = type !== 'message';
+    fields.seconds.hidden = type !== 'message';
+  }
+
+  async load() {
+    try {
+      const response = await fetch('/api/displays');
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      this.displays = data.displays || [];
+      this.render();
+    } catch (error) {
+      this.setStatus(`Failed to load displays: ${error.message}`, 'error');
+    }
+  }
+
+  render() {
+    this.rows.innerHTML = this.displays.length === 0
+      ? '<tr><td colspan="7">No displays have connected yet</td></tr>'
+      : this.displays.map(display => `
+        <tr class="${display.connected ? '' : 'display-offline'}">
+          <td>${escapeHtml(display.id)}</td>
+          <td>${display.connected ? 'Connected' : 'Offline'}</td>
+          <td>${escapeHtml(display.theme || '-')}</td>
+          <td>${escapeHtml(display.layout || '-')}</td>
+          <td>${escapeHtml(display.zone || '-')}</td>
+          <td>${escapeHtml(new Date(display.lastSeen).toLocaleString())}</td>
+          <td title="${escapeHtml(display.userAgent)}">${escapeHtml(display.userAgent.slice(0, 40))}</td>
+        </tr>
+      `).join('');
+
+    const target = this.form.elements.target;
+    const selected = target.value;
+    target.innerHTML = '<option value="">All displays</option>' + this.displays
+      .filter(display => display.connected)
+      .map(display => `<option value="${escapeHtml(display.id)}">${escapeHtml(display.id)}</option>`)
+      .join('');
+    if (Array.from(target.options).some(option => option.value === selected)) target.value = selected;
+  }
+
+  collect() {
+    const fields = this.form.elements;
+    const command = { type: fields.type.value };
+    if (command.type === 'theme') command.theme = fields.theme.value;
+    if (command.type === 'layout') command.layout = fields.layout.value;
+    if (command.type === 'message') {
+      command.text = fields.text.value;
+      command.seconds = parseInt(fields.seconds.value, 10) || 10;
+    }
+    return command;
+  }
+
+  async send() {
+    const target = this.form.elements.target.value;
+    const url = target ? `/api/displays/${encodeURIComponent(target)}/commands` : '/api/displays/commands';
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.collect()),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      this.setStatus(`Sent to ${data.sent} connection(s)`, 'success');
+      this.load();
+    } catch (error) {
+      this.setStatus(error.message, 'error');
+    }
+  }
+
+  setStatus(text, state) {
+    this.statusElement.textContent = text;
+    this.statusElement.className = `admin-status ${state}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.adminDisplays = new AdminDisplays();
+  window.adminSettings = new AdminSettings();
+});
@@ -5,49 +5,85 @@ class AnalyticsDashboard {
   constructor() {
     this.trafficChart = null;
     this.httpStatusChart = null;
+    this.securityChart = null;
     this.refreshInterval = 30; // seconds
     this.refreshTimer = null;
     this.countdownTimer = null;
     this.lastUpdateTime = null;
     this.isLoading = false;
     this.isFirstLoad = true;
+    this.zones = [];
+    this.currentZone = null;
+    this.currentRange = '24h';
+    this.rotateInterval = 0; // seconds, 0 disables zone rotation
+    this.rotatePinned = false; // ?rotate= overrides the server's rotation setting
+    this.rotateTimer = null;
+    this.eventSource = null;
+    this.streamConnected = false;
+    this.streamRetryDelay = 1000; // ms, doubles per failed reconnect
+    this.streamReconnectTimer = null;
+    this.displayId = this.initDisplayId();
+    this.messageTimer = null;
+    this.nextUpdateAt = null;
+    this.anomaliesByDatetime = new Map();
+    this.seriesDatetimes = [];
+    this.layout = null;
+    this.lastData = null;
+    this.dataAge = null; // { seconds, receivedAt } from the last snapshot
+    this.serverStale = false;
+    this.staleReason = '';
+    this.panelErrors = {}; // per-panel query failures from the last snapshot
 
     this.init();
   }
 
-  updateTopPaths(paths) {
-    const list = document.getElementById('pathsList');
-    if (!list) return;
-    if (!paths || paths.length === 0) {
-      list.innerHTML = '<div class="loading">No path data available</div>';
-      return;
+  // Fills every list widget showing `source`, each up to its own item limit.
+  // When the panel's query failed the list says why instead of looking empty.
+  renderList(source, items, renderItem, emptyMessage, panel) {
+    const failure = panel ? this.panelErrors[panel] : null;
+    document.querySelectorAll(`[data-list="${source}"]`).forEach(list => {
+      if (failure) {
+        list.innerHTML = `<div class="loading panel-error" title="${escapeHtml(failure.message)}">${escapeHtml(this.describePanelError(failure))}</div>`;
+        return;
+      }
+      if (!items || items.length === 0) {
+        list.innerHTML = `<div class="loading">${emptyMessage}</div>`;
+        return;
+      }
+      const limit = parseInt(list.dataset.limit, 10) || 8;
+      list.innerHTML = items.slice(0, limit).map(renderItem).join('');
+    });
+  }
+
+  describePanelError(failure) {
+    switch (failure.kind) {
+      case 'denied': return 'Not available on this plan or token';
+      case 'limit': return 'Outside this plan\'s query limits';
+      case 'unavailable': return 'Cloudflare API paused';
+      default: return 'Query failed';
     }
-    const html = paths.slice(0, 8).map(item => {
+  }
+
+  updateTopPaths(paths) {
+    this.renderList('paths', paths, item => {
       const path = item.path || '/';
       const requests = item.requests || 0;
       const bytes = item.bytes || 0;
       return `
         <div class="geo-item">
-          <div class="geo-country"><span>${path}</span></div>
+          <div class="geo-country"><span title="${escapeHtml(path)}">${escapeHtml(path)}</span></div>
           <div class="geo-stats">
             <span class="geo-stat primary">${formatNumber(requests)} req</span>
             <span class="geo-stat">${formatBytes(bytes)}</span>
           </div>
         </div>
       `;
-    }).join('');
-    list.innerHTML = html;
+    }, 'No path data available', 'topPaths');
   }
 
   updateCacheBreakdown(breakdown) {
-    const list = document.getElementById('cacheList');
-    if (!list) return;
-    if (!breakdown || Object.keys(breakdown).length === 0) {
-      list.innerHTML = '<div class="loading">No cache status data</div>';
-      return;
-    }
     const order = ['HIT','MISS','BYPASS','EXPIRED','STALE','REVALIDATED','UPDATING','UNKNOWN'];
-    const items = Object.entries(breakdown).map(([k,v]) => ({ status: k.toUpperCase(), requests: v.requests||0, bytes: v.bytes||0 }));
+    const items = Object.entries(breakdown || {}).map(([k,v]) => ({ status: k.toUpperCase(), requests: v.requests||0, bytes: v.bytes||0 }));
     items.sort((a,b)=>{
       const ai = order.indexOf(a.status);
       const bi = order.indexOf(b.status);
@@ -56,16 +92,15 @@ class AnalyticsDashboard {
       if (bi === -1) return -1;
       return ai - bi;
     });
-    const html = items.map(item => `
+    this.renderList('cache', items, item => `
       <div class="geo-item">
-        <div class="geo-country"><span>${item.status}</span></div>
+        <div class="geo-country"><span>${escapeHtml(item.status)}</span></div>
         <div class="geo-stats">
           <span class="geo-stat primary">${formatNumber(item.requests)} req</span>
           <span class="geo-stat">${formatBytes(item.bytes)}</span>
         </div>
       </div>
-    `).join('');
-    list.innerHTML = html;
+    `, 'No cache status data', 'cacheBreakdown');
   }
 
   init() {
@@ -84,11 +119,71 @@ class AnalyticsDashboard {
 
     // Initialize theme from localStorage if set
     this.initTheme();
+    this.initExportMenu();
 
-    // Fetch data first to avoid blocking on chart init
-    this.fetchAnalytics();
+    // Initialize time range from URL/localStorage
+    this.initRange();
+
+    // Build the widgets and resolve the zone list, then fetch data and subscribe to live updates
+    Promise.all([this.initLayout(), this.initZones()]).finally(() => {
+      this.fetchAnalytics();
+      this.connectStream();
+    });
+
+    // Countdown to the server's next refresh; polling only starts if the stream is down
+    this.startCountdown();
+
+    // Handle visibility change
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) {
+        this.fetchAnalytics();
+      }
+    });
+  }
+
+  // Names this display in the server's registry: ?display= or a random id kept in localStorage
+  initDisplayId() {
+    const params = new URLSearchParams(window.location.search);
+    let id = params.get('display') || localStorage.getItem('dashboard-display-id');
+    if (!id) {
+      id = `display-${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem('dashboard-display-id', id);
+    }
+    return id;
+  }
+
+  async initLayout() {
+    const params = new URLSearchParams(window.location.search);
+    // A layout sent to this display by command sticks until the URL names another
+    const requested = params.get('layout') || localStorage.getItem('dashboard-layout') || document.body.dataset.layout || 'default';
+    let layout = null;
+    try {
+      layout = await this.fetchLayout(requested);
+    } catch (error) {
+      console.error(`Failed to load layout ${requested}:`, error);
+      if (requested !== 'default') layout = await this.fetchLayout('default').catch(() => null);
+    }
+    if (!layout) {
+      this.showError('Failed to load dashboard layout');
+      return;
+    }
+    this.applyLayout(layout);
+  }
+
+  async fetchLayout(name) {
+    const response = await fetch(`/api/layouts/${encodeURIComponent(name)}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    return response.json();
+  }
+
+  // Rebuilds the widgets and charts, then repaints the last snapshot into them
+  applyLayout(layout) {
+    this.destroyCharts();
+    renderLayout(layout, document.getElementById('dashboardGrid'));
+    this.layout = layout;
+    this.updateRangeLabels();
+    this.updateRefreshMode();
 
-    // Initialize dashboard (safe-guarded)
     try {
       this.initializeCharts();
     } catch (err) {
@@ -97,15 +192,153 @@ class AnalyticsDashboard {
       this.showLoading(false);
     }
 
-    // Setup refresh timer
-    this.startRefreshTimer();
+    if (this.lastData) this.updateDashboard(this.lastData);
+  }
 
-    // Handle visibility change
-    document.addEventListener('visibilitychange', () => {
-      if (!document.hidden) {
-        this.fetchAnalytics();
+  // All elements a layout bound to `name` via data-field
+  fieldElements(name) {
+    return document.querySelectorAll(`[data-field="${name}"]`);
+  }
+
+  setField(name, text) {
+    this.fieldElements(name).forEach(el => { el.textContent = text; });
+  }
+
+  async initZones() {
+    try {
+      const response = await fetch('/api/zones');
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const data = await response.json();
+      this.zones = data.zones || [];
+      this.rotateInterval = data.rotateInterval || 0;
+    } catch (error) {
+      console.error('Failed to load zones:', error);
+      return;
+    }
+
+    // URL parameters win over server defaults so each kiosk can be pinned or rotated
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('rotate')) {
+      this.rotateInterval = parseInt(params.get('rotate'), 10) || 0;
+      this.rotatePinned = true;
+    }
+
+    const requested = params.get('zone') || localStorage.getItem('dashboard-zone');
+    const initial = this.zones.find(zone => zone.id === requested) || this.zones[0];
+    this.currentZone = initial ? initial.id : null;
+
+    const selector = document.getElementById('zoneSelector');
+    if (selector) {
+      selector.addEventListener('change', () => {
+        this.setZone(selector.value);
+        localStorage.setItem('dashboard-zone', selector.value);
+        this.startZoneRotation();
+      });
+    }
+    this.renderZoneSelector();
+
+    this.startZoneRotation();
+  }
+
+  renderZoneSelector() {
+    const selector = document.getElementById('zoneSelector');
+    if (!selector) return;
+    selector.innerHTML = this.zones.map(zone => `<option value="${escapeHtml(zone.id)}">${escapeHtml(zone.label)}</option>`).join('');
+    selector.value = this.currentZone;
+    selector.style.display = this.zones.length > 1 ? '' : 'none';
+  }
+
+  // Settings changed on the admin page, pushed over the stream to every display
+  applySettings(settings) {
+    // Every save sends all settings; only a changed server theme replaces one picked on this
+    // display or sent to it by a command
+    if (settings.theme && settings.theme !== this.serverTheme) {
+      this.serverTheme = settings.theme;
+      localStorage.removeItem('dashboard-theme');
+      this.setTheme(settings.theme);
+    }
+
+    if (settings.refreshInterval && settings.refreshInterval !== this.refreshInterval) {
+      this.refreshInterval = settings.refreshInterval;
+      if (this.refreshTimer) this.startRefreshTimer();
+      this.updateRefreshMode();
+    }
+
+    if (Array.isArray(settings.zones)) {
+      this.zones = settings.zones;
+      this.renderZoneSelector();
+      if (!this.zones.some(zone => zone.id === this.currentZone) && this.zones.length > 0) {
+        this.setZone(this.zones[0].id);
       }
+    }
+    if (!this.rotatePinned) this.rotateInterval = settings.zoneRotateInterval || 0;
+    this.startZoneRotation();
+
+    const params = new URLSearchParams(window.location.search);
+    if (settings.defaultLayout && !params.get('layout') && !localStorage.getItem('dashboard-layout') && this.layout && this.layout.name !== settings.defaultLayout) {
+      document.body.dataset.layout = settings.defaultLayout;
+      this.fetchLayout(settings.defaultLayout)
+        .then(layout => this.applyLayout(layout))
+        .catch(error => console.error(`Failed to load layout ${settings.defaultLayout}:`, error));
+    }
+  }
+
+  initRange() {
+    const params = new URLSearchParams(window.location.search);
+    const buttons = document.querySelectorAll('.range-button');
+    const available = Array.from(buttons).map(btn => btn.dataset.range);
+    const requested = params.get('range') || localStorage.getItem('dashboard-range');
+    if (available.includes(requested)) this.currentRange = requested;
+    this.updateRangeLabels();
+
+    buttons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        localStorage.setItem('dashboard-range', btn.dataset.range);
+        this.setRange(btn.dataset.range);
+      });
+    });
+  }
+
+  setRange(range) {
+    if (!range || range === this.currentRange) return;
+    this.currentRange = range;
+    this.updateRangeLabels();
+    this.fetchAnalytics();
+    if (this.eventSource || this.streamReconnectTimer) this.connectStream();
+  }
+
+  updateRangeLabels() {
+    document.querySelectorAll('.range-button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.range === this.currentRange);
     });
+    document.querySelectorAll('.range-label').forEach(el => { el.textContent = this.currentRange; });
+    this.setField('trafficTitle', `Traffic Over Time (${this.currentRange})`);
+  }
+
+  // Query string selecting the current zone and range
+  viewQuery() {
+    const params = new URLSearchParams({ range: this.currentRange });
+    if (this.currentZone) params.set('zone', this.currentZone);
+    return params.toString();
+  }
+
+  setZone(zoneId) {
+    if (!zoneId || zoneId === this.currentZone) return;
+    this.currentZone = zoneId;
+    const selector = document.getElementById('zoneSelector');
+    if (selector) selector.value = zoneId;
+    this.fetchAnalytics();
+    if (this.eventSource || this.streamReconnectTimer) this.connectStream();
+  }
+
+  startZoneRotation() {
+    if (this.rotateTimer) { clearInterval(this.rotateTimer); this.rotateTimer = null; }
+    if (this.zones.length < 2 || this.rotateInterval <= 0) return;
+    this.rotateTimer = setInterval(() => {
+      const index = this.zones.findIndex(zone => zone.id === this.currentZone);
+      const next = this.zones[(index + 1) % this.zones.length];
+      this.setZone(next.id);
+    }, this.rotateInterval * 1000);
   }
 
   updateClock() {
@@ -116,7 +349,7 @@ class AnalyticsDashboard {
   }
 
   initializeCharts() {
-    const ctx = document.getElementById('trafficChart').getContext('2d');
+    const trafficCanvas = document.querySelector('.traffic-canvas');
     const pageviewsColor = this.getCssVariable('--chart-pageviews', '#00d4ff');
     const cachedPageviewsColor = this.getCssVariable('--chart-cached-pageviews', '#4ecdc4');
     const requestsColor = this.getCssVariable('--chart-requests', '#ff6b6b');
@@ -127,7 +360,7 @@ class AnalyticsDashboard {
     const tooltipText = this.getCssVariable('--text-primary', '#fff');
     const tooltipBorder = this.getCssVariable('--border-primary', 'rgba(0, 212, 255, 0.5)');
 
-    this.trafficChart = new Chart(ctx, {
+    this.trafficChart = trafficCanvas ? new Chart(trafficCanvas.getContext('2d'), {
       type: 'line',
       data: {
         labels: [],
@@ -178,6 +411,21 @@ class AnalyticsDashboard {
             pointRadius: 0,
             pointHoverRadius: 4,
           },
+          {
+            // Requests in the previous equivalent window, drawn as a faint ghost line
+            label: 'Previous Requests',
+            data: [],
+            borderColor: this.colorWithAlpha(requestsColor, 0.45),
+            backgroundColor: 'transparent',
+            borderWidth: 1.5,
+            borderDash: [2, 3],
+            fill: false,
+            tension: 0.4,
+            pointRadius: 0,
+            pointHoverRadius: 3,
+            spanGaps: true,
+            hidden: !trafficCanvas || trafficCanvas.dataset.previous !== 'true',
+          },
         ],
       },
       options: {
@@ -186,7 +434,10 @@ class AnalyticsDashboard {
         interaction: { mode: 'index', intersect: false },
         plugins: {
           legend: { display: false },
-          tooltip: { backgroundColor: tooltipBg, titleColor: tooltipText, bodyColor: tooltipText, borderColor: tooltipBorder, borderWidth: 1 },
+          tooltip: {
+            backgroundColor: tooltipBg, titleColor: tooltipText, bodyColor: tooltipText, borderColor: tooltipBorder, borderWidth: 1,
+            callbacks: { footer: (items) => this.anomalyFooter(items, ['requests', 'threats']) },
+          },
         },
         scales: {
           x: {
@@ -202,9 +453,9 @@ class AnalyticsDashboard {
         },
         elements: { line: { borderJoinStyle: 'round' } },
       },
-    });
+    }) : null;
 
-    const statusCanvas = document.getElementById('httpStatusChart');
+    const statusCanvas = document.querySelector('.status-canvas');
     if (statusCanvas) {
       const statusCtx = statusCanvas.getContext('2d');
       const status2xxColor = this.getCssVariable('--status-success', '#4ecdc4');
@@ -269,7 +520,10 @@ class AnalyticsDashboard {
           interaction: { mode: 'index', intersect: false },
           plugins: {
             legend: { display: false },
-            tooltip: { backgroundColor: tooltipBg, titleColor: tooltipText, bodyColor: tooltipText, borderColor: tooltipBorder, borderWidth: 1 },
+            tooltip: {
+              backgroundColor: tooltipBg, titleColor: tooltipText, bodyColor: tooltipText, borderColor: tooltipBorder, borderWidth: 1,
+              callbacks: { footer: (items) => this.anomalyFooter(items, ['4xxShare', '5xxShare']) },
+            },
           },
           scales: {
             x: {
@@ -289,8 +543,54 @@ class AnalyticsDashboard {
       });
     }
 
+    const securityCanvas = document.querySelector('.security-canvas');
+    if (securityCanvas) {
+      const blockedColor = this.getCssVariable('--status-server-error', '#ff4757');
+      const challengedColor = this.getCssVariable('--status-redirect', '#45b7d1');
+      this.securityChart = new Chart(securityCanvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: [],
+          datasets: [
+            { label: 'Blocked', data: [], backgroundColor: this.colorWithAlpha(blockedColor, 0.7), stack: 'security' },
+            { label: 'Challenged', data: [], backgroundColor: this.colorWithAlpha(challengedColor, 0.7), stack: 'security' },
+          ],
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          interaction: { mode: 'index', intersect: false },
+          plugins: {
+            legend: { display: false },
+            tooltip: { backgroundColor: tooltipBg, titleColor: tooltipText, bodyColor: tooltipText, borderColor: tooltipBorder, borderWidth: 1 },
+          },
+          scales: {
+            x: {
+              display: true,
+              stacked: true,
+              grid: { display: false },
+              ticks: { color: tickColor, font: { size: 10 }, maxTicksLimit: 12 },
+            },
+            y: {
+              display: true,
+              stacked: true,
+              grid: { color: gridColor, drawBorder: false },
+              ticks: { color: tickColor, font: { size: 10 }, callback: (v) => formatNumber(v) },
+            },
+          },
+        },
+      });
+    }
+
     this.applyTrafficChartTheme();
     this.applyHttpStatusChartTheme();
+    this.applySecurityChartTheme();
+  }
+
+  destroyCharts() {
+    if (this.trafficChart) { this.trafficChart.destroy(); this.trafficChart = null; }
+    if (this.httpStatusChart) { this.httpStatusChart.destroy(); this.httpStatusChart = null; }
+    if (this.securityChart) { this.securityChart.destroy(); this.securityChart = null; }
   }
 
   async fetchAnalytics() {
@@ -299,14 +599,19 @@ class AnalyticsDashboard {
     this.showLoading(true);
     this.hideError();
 
+    const view = this.viewQuery();
+
     try {
-      const response = await fetch('/api/analytics');
+      const response = await fetch(`/api/analytics?${view}`);
       if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       const data = await response.json();
       if (data.error) throw new Error(data.error);
+      // Zone or range switched while this request was in flight; the refetch below replaces it
+      if (view !== this.viewQuery()) return;
       this.updateDashboard(data);
       this.lastUpdateTime = new Date();
       this.refreshInterval = data.refreshInterval || 30;
+      this.applySchedule(data);
     } catch (error) {
       console.error('Failed to fetch analytics:', error);
       this.showError(`Failed to load data: ${error.message}`);
@@ -314,63 +619,242 @@ class AnalyticsDashboard {
       this.isLoading = false;
       this.showLoading(false);
       this.isFirstLoad = false;
+      if (view !== this.viewQuery()) this.fetchAnalytics();
     }
   }
 
   updateDashboard(data) {
+    this.lastData = data;
+    this.panelErrors = data.panelErrors || {};
+    this.updateZoneInfo(data.zone);
     this.updateMetrics(data.totals, data.cache);
-    this.updateTrafficChart(data.timeseries);
+    this.updateDeltas(data.totals, data.previousTotals);
+    this.indexAnomalies(data.timeseries, data.anomalies);
+    this.updateTrafficChart(data.timeseries, data.range, data.previousTimeseries);
     this.updateGeographicData(data.geographic);
+    this.updateTopPaths(data.topPaths);
+    this.updateCacheBreakdown(data.cacheBreakdown);
+    this.updateSecurity(data.security, data.range);
+    this.updateAdaptiveWindow(data.adaptiveWindow);
+    this.updateCosts(data.costs);
+    this.updateMonitors(data.monitors);
     this.updateHttpStatus(data.httpStatus);
-    this.updateHttpStatusTrend(data.httpStatusSeries);
+    this.updateHttpStatusTrend(data.httpStatusSeries, data.range);
     this.updateLastUpdated(data.lastUpdated);
+    this.updateFreshness(data);
     this.updateSystemInfo(data);
+    this.updateAlerts(data.alerts);
+  }
+
+  // Origin bandwidth and its estimated cost for the range, month to date and projected to month end
+  updateCosts(costs) {
+    if (!costs) {
+      ['originEgress', 'originEgressCost', 'cacheSavings', 'cacheSavingsCost', 'costMonthToDate', 'costMonthToDateUsage', 'costProjected', 'costQuota']
+        .forEach(name => this.setField(name, '-'));
+      return;
+    }
+    const money = (amount) => formatCurrency(amount, costs.currency);
+    this.setField('originEgress', formatBytes(costs.range.originBytes));
+    this.setField('originEgressCost', `${money(costs.range.totalCost)} at origin`);
+    this.setField('cacheSavings', formatBytes(costs.range.savedBytes));
+    this.setField('cacheSavingsCost', `${money(costs.range.savedCost)} saved`);
+
+    const month = costs.monthToDate;
+    if (!month) {
+      const failure = this.panelErrors.costs;
+      ['costMonthToDate', 'costProjected'].forEach(name => this.setField(name, '-'));
+      this.setField('costMonthToDateUsage', failure ? this.describePanelError(failure) : '-');
+      this.setField('costQuota', '-');
+      return;
+    }
+    this.setField('costMonthToDate', money(month.totalCost));
+    this.setField('costMonthToDateUsage', `${formatBytes(month.originBytes)} origin`);
+    this.setField('costProjected', money(month.projected.totalCost));
+    const quota = month.quota.egressProjected !== null ? month.quota.egressProjected : month.quota.requestsProjected;
+    this.setField('costQuota', quota === null ? 'no quota set' : `${Math.round(quota * 100)}% of quota`);
+    this.fieldElements('costQuota').forEach(el => el.classList.toggle('over-quota', quota !== null && quota > 1));
+  }
+
+  // Firewall events: blocked vs challenged over time, their totals and the top rule/IP/ASN lists
+  // Paths, cache statuses and firewall lists cover at most a day, even on the 7d and 30d ranges
+  updateAdaptiveWindow(adaptiveWindow) {
+    const seconds = adaptiveWindow ? (Date.parse(adaptiveWindow.until) - Date.parse(adaptiveWindow.since)) / 1000 : 0;
+    this.setField('adaptiveWindow', seconds > 0 ? `(last ${formatDuration(seconds)})` : '');
+  }
+
+  updateSecurity(security, range) {
+    const totals = security ? security.totals : null;
+    this.setField('security-blocked', totals ? formatNumber(totals.blocked) : '-');
+    this.setField('security-challenged', totals ? formatNumber(totals.challenged) : '-');
+    const windowSeconds = security ? (Date.parse(security.until) - Date.parse(security.since)) / 1000 : 0;
+    this.setField('securityWindow', windowSeconds > 0 ? `(last ${formatDuration(windowSeconds)})` : '');
+
+    if (this.securityChart) {
+      const timeline = security ? security.timeline : [];
+      this.securityChart.data.labels = timeline.map(p => this.formatBucketLabel(p.datetime, range === '1h' ? '1h' : '24h'));
+      this.securityChart.data.datasets[0].data = timeline.map(p => p.blocked);
+      this.securityChart.data.datasets[1].data = timeline.map(p => p.challenged);
+      this.securityChart.update('none');
+    }
+
+    const lists = security || { topRules: [], topIps: [], topAsns: [] };
+    this.renderList('rules', lists.topRules, rule => `
+      <div class="geo-item">
+        <div class="geo-country"><span title="${escapeHtml(rule.ruleId || rule.source)}">${escapeHtml(rule.description)}</span></div>
+        <div class="geo-stats">
+          <span class="geo-stat primary">${formatNumber(rule.events)}</span>
+          <span class="geo-stat">${escapeHtml(rule.source)}</span>
+        </div>
+      </div>
+    `, 'No firewall events', 'security');
+    this.renderList('ips', lists.topIps, client => `
+      <div class="geo-item">
+        <div class="geo-country"><span title="AS${escapeHtml(client.asn)} ${escapeHtml(client.asnName || '')}">${escapeHtml(client.ip)}</span></div>
+        <div class="geo-stats">
+          <span class="geo-stat primary">${formatNumber(client.events)}</span>
+          <span class="geo-stat">${escapeHtml(this.getCountryName(client.country || ''))}</span>
+        </div>
+      </div>
+    `, 'No firewall events', 'security');
+    this.renderList('asns', lists.topAsns, asn => `
+      <div class="geo-item">
+        <div class="geo-country"><span title="${escapeHtml(asn.name || '')}">AS${escapeHtml(asn.asn)} ${escapeHtml(asn.name || '')}</span></div>
+        <div class="geo-stats">
+          <span class="geo-stat primary">${formatNumber(asn.events)}</span>
+        </div>
+      </div>
+    `, 'No firewall events', 'security');
+  }
+
+  // Uptime targets: status dot, 24h uptime, p50/p95 latency and a sparkline of recent checks
+  updateMonitors(monitors) {
+    this.renderList('monitors', monitors, monitor => {
+      const uptime = monitor.uptime === null ? '-' : `${(monitor.uptime * 100).toFixed(2)}%`;
+      const latency = monitor.latency.p50 === null ? '-' : `${monitor.latency.p50}/${monitor.latency.p95}ms`;
+      const slowest = Math.max(1, ...monitor.sparkline.map(point => point.responseTime || 0));
+      const bars = monitor.sparkline.map(point => {
+        const height = point.status === 'down' ? 100 : Math.max(15, Math.round(((point.responseTime || 0) / slowest) * 100));
+        const time = new Date(point.timestamp).toLocaleTimeString('en-US', { hour12: false });
+        return `<span class="spark-bar ${escapeHtml(point.status)}" style="height: ${height}%" title="${time} ${escapeHtml(point.status)}"></span>`;
+      }).join('');
+      return `
+        <div class="geo-item monitor-item">
+          <div class="geo-country">
+            <span class="monitor-dot ${escapeHtml(monitor.status)}" title="${escapeHtml(monitor.message || '')}"></span>
+            <span title="${escapeHtml(monitor.url)}">${escapeHtml(monitor.name)}</span>
+          </div>
+          <div class="monitor-sparkline">${bars}</div>
+          <div class="geo-stats">
+            <span class="geo-stat primary">${uptime}</span>
+            <span class="geo-stat" title="p50/p95 latency">${latency}</span>
+          </div>
+        </div>
+      `;
+    }, 'No monitors configured');
+  }
+
+  updateAlerts(alerts) {
+    const banner = document.getElementById('alertBanner');
+    if (!banner) return;
+    if (!alerts || alerts.length === 0) {
+      banner.style.display = 'none';
+      banner.innerHTML = '';
+      return;
+    }
+    const items = alerts.map(alert => {
+      const zoneLabel = alert.zone && alert.zone.label ? ` (${alert.zone.label})` : '';
+      return `<span class="alert-item ${escapeHtml(alert.severity)}">${escapeHtml(alert.name + zoneLabel)}</span>`;
+    }).join('<span>&middot;</span>');
+    banner.innerHTML = `<span>⚠ ${alerts.length} active alert${alerts.length === 1 ? '' : 's'}:</span>${items}`;
+    banner.style.display = 'flex';
+  }
+
+  updateZoneInfo(zone) {
+    if (!zone) return;
+    const title = document.getElementById('siteTitle');
+    if (title) title.textContent = `${zone.label} analytics`;
   }
 
   updateMetrics(totals, cache) {
     // Page Views
     const pageviews = totals.pageviews || 0;
-    document.getElementById('pageviews').textContent = formatNumber(pageviews);
+    this.setField('pageviews', formatNumber(pageviews));
     const pvCached = (cache && cache.estCachedPageviews) || 0;
-    const pvCachedEl = document.getElementById('pageviewsCached');
-    if (pvCachedEl) pvCachedEl.textContent = formatNumber(pvCached);
+    this.setField('pageviewsCached', formatNumber(pvCached));
 
     // Unique Visitors
     const uniques = totals.uniques || 0;
-    document.getElementById('uniques').textContent = formatNumber(uniques);
+    this.setField('uniques', formatNumber(uniques));
     const uqCached = (cache && cache.estCachedUniques) || 0;
-    const uqCachedEl = document.getElementById('uniquesCached');
-    if (uqCachedEl) uqCachedEl.textContent = formatNumber(uqCached);
+    this.setField('uniquesCached', formatNumber(uqCached));
 
     // Total Requests
     const requests = totals.requests || 0;
-    document.getElementById('requests').textContent = formatNumber(requests);
+    this.setField('requests', formatNumber(requests));
     const reqCached = (cache && cache.cachedRequests) || 0;
-    const reqCachedEl = document.getElementById('requestsCached');
-    if (reqCachedEl) reqCachedEl.textContent = formatNumber(reqCached);
-    const cacheHitRateEl = document.getElementById('cacheHitRate');
-    if (cache && cacheHitRateEl && cache.cacheRatio !== undefined) {
-      cacheHitRateEl.textContent = `${Math.round(cache.cacheRatio * 100)}% hit`;
+    this.setField('requestsCached', formatNumber(reqCached));
+    if (cache && cache.cacheRatio !== undefined) {
+      this.setField('cacheHitRate', `${Math.round(cache.cacheRatio * 100)}% hit`);
     }
 
     // Bandwidth
     const bandwidth = totals.bytes || 0;
-    document.getElementById('bandwidth').textContent = formatBytes(bandwidth);
+    this.setField('bandwidth', formatBytes(bandwidth));
     const estCachedBytes = cache && cache.cacheRatio ? Math.round(bandwidth * cache.cacheRatio) : 0;
-    const bwCachedEl = document.getElementById('bandwidthCached');
-    if (bwCachedEl) bwCachedEl.textContent = formatBytes(estCachedBytes);
+    this.setField('bandwidthCached', formatBytes(estCachedBytes));
+
+    // Threats
+    this.setField('threats', formatNumber(totals.threats || 0));
 
     // Add pulse animation to updated cards
-    ['pageviewsCard','pageviewsCachedCard','uniquesCard','uniquesCachedCard','requestsCard','requestsCachedCard','bandwidthCard','bandwidthCachedCard'].forEach(id => {
-      const card = document.getElementById(id);
-      if (card) {
-        card.style.animation = 'none';
-        setTimeout(() => { card.style.animation = 'pulse 0.5s ease-in-out'; }, 10);
+    document.querySelectorAll('.metric-card').forEach(card => {
+      card.style.animation = 'none';
+      setTimeout(() => { card.style.animation = 'pulse 0.5s ease-in-out'; }, 10);
+    });
+  }
+
+  // Percentage change against the previous equivalent window on each card that has a total.
+  // A failed previous-period query says so rather than hiding the delta like a quiet period.
+  updateDeltas(totals, previousTotals) {
+    const failure = this.panelErrors.previousTotals;
+    document.querySelectorAll('[data-delta]').forEach(el => {
+      const key = el.dataset.delta;
+      const previous = previousTotals ? previousTotals[key] : 0;
+      el.className = 'metric-delta';
+      el.title = '';
+      if (failure) {
+        el.textContent = 'comparison unavailable';
+        el.classList.add('unavailable');
+        el.title = failure.message;
+        return;
+      }
+      if (!previous) {
+        el.textContent = '';
+        return;
       }
+      const change = ((totals[key] || 0) - previous) / previous;
+      const percent = Math.round(change * 100);
+      el.textContent = `${percent > 0 ? '▲' : percent < 0 ? '▼' : ''}${Math.abs(percent)}%`;
+      if (percent !== 0) el.classList.add(percent > 0 ? 'up' : 'down');
+      el.title = `Previous ${this.currentRange}: ${key.toLowerCase().includes('bytes') ? formatBytes(previous) : formatNumber(previous)}`;
     });
   }
 
-  updateTrafficChart(timeseries) {
+  // Minute/hour buckets show the time of day; multi-day ranges switch to dates
+  formatBucketLabel(datetime, range) {
+    const d = new Date(datetime);
+    const hh = d.getHours().toString().padStart(2, '0');
+    const mm = d.getMinutes().toString().padStart(2, '0');
+    const date = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    switch (range) {
+      case '1h': return `${hh}:${mm}`;
+      case '7d': return `${date} ${hh}:00`;
+      case '30d': return date;
+      default: return `${hh}:00`;
+    }
+  }
+
+  updateTrafficChart(timeseries, range, previousTimeseries) {
     if (!this.trafficChart) return;
     if (!timeseries || timeseries.length === 0) {
       this.trafficChart.data.labels = Array.from({length: 24}, (_, i) => `${i.toString().padStart(2, '0')}:00`);
@@ -378,14 +862,13 @@ class AnalyticsDashboard {
       this.trafficChart.data.datasets[1].data = new Array(24).fill(0);
       this.trafficChart.data.datasets[2].data = new Array(24).fill(0);
       this.trafficChart.data.datasets[3].data = new Array(24).fill(0);
+      this.trafficChart.data.datasets[4].data = [];
+      this.trafficChart.data.datasets[2].pointRadius = 0;
       this.trafficChart.update('none');
       return;
     }
 
-    const labels = timeseries.map(p => {
-      const d = new Date(p.datetime);
-      return `${d.getHours().toString().padStart(2, '0')}:00`;
-    });
+    const labels = timeseries.map(p => this.formatBucketLabel(p.datetime, range));
     const pageviewsData = timeseries.map(p => p.pageviews || 0);
     const requestsData = timeseries.map(p => p.requests || 0);
     const cachedPageviewsData = timeseries.map(p => {
@@ -400,16 +883,13 @@ class AnalyticsDashboard {
     this.trafficChart.data.datasets[1].data = cachedPageviewsData;
     this.trafficChart.data.datasets[2].data = requestsData;
     this.trafficChart.data.datasets[3].data = cachedRequestsData;
+    this.trafficChart.data.datasets[4].data = (previousTimeseries || []).map(p => (p ? p.requests || 0 : null));
+    this.markAnomalies(this.trafficChart.data.datasets[2], timeseries, ['requests', 'threats']);
     this.trafficChart.update('none');
   }
 
   updateGeographicData(geographic) {
-    const geoList = document.getElementById('geoList');
-    if (!geographic || geographic.length === 0) {
-      geoList.innerHTML = '<div class="loading">No geographic data available</div>';
-      return;
-    }
-    const geoHTML = geographic.slice(0, 8).map((country) => {
+    this.renderList('geo', geographic, (country) => {
       const countryName = this.getCountryName(country.country);
       const requests = country.requests || 0;
       const pageviews = country.pageviews || 0;
@@ -422,8 +902,7 @@ class AnalyticsDashboard {
           </div>
         </div>
       `;
-    }).join('');
-    geoList.innerHTML = geoHTML;
+    }, 'No geographic data available', 'geographic');
   }
 
   updateHttpStatus(httpStatus) {
@@ -446,13 +925,13 @@ class AnalyticsDashboard {
       });
     }
 
-    document.getElementById('status2xx').textContent = formatNumber(status2xx);
-    document.getElementById('status3xx').textContent = formatNumber(status3xx);
-    document.getElementById('status4xx').textContent = formatNumber(status4xx);
-    document.getElementById('status5xx').textContent = formatNumber(status5xx);
+    this.setField('status2xx', formatNumber(status2xx));
+    this.setField('status3xx', formatNumber(status3xx));
+    this.setField('status4xx', formatNumber(status4xx));
+    this.setField('status5xx', formatNumber(status5xx));
   }
 
-  updateHttpStatusTrend(statusSeries) {
+  updateHttpStatusTrend(statusSeries, range) {
     if (!this.httpStatusChart) return;
 
     if (!statusSeries || statusSeries.length === 0) {
@@ -461,24 +940,52 @@ class AnalyticsDashboard {
       this.httpStatusChart.data.labels = fallbackLabels;
       this.httpStatusChart.data.datasets.forEach((dataset) => {
         dataset.data = zeroData.slice();
+        dataset.pointRadius = 0;
       });
       this.httpStatusChart.update('none');
       return;
     }
 
-    const labels = statusSeries.map((point) => {
-      const d = new Date(point.datetime);
-      return `${d.getHours().toString().padStart(2, '0')}:00`;
-    });
+    const labels = statusSeries.map((point) => this.formatBucketLabel(point.datetime, range));
 
     this.httpStatusChart.data.labels = labels;
     this.httpStatusChart.data.datasets[0].data = statusSeries.map((point) => point['2xx'] || 0);
     this.httpStatusChart.data.datasets[1].data = statusSeries.map((point) => point['3xx'] || 0);
     this.httpStatusChart.data.datasets[2].data = statusSeries.map((point) => point['4xx'] || 0);
     this.httpStatusChart.data.datasets[3].data = statusSeries.map((point) => point['5xx'] || 0);
+    this.markAnomalies(this.httpStatusChart.data.datasets[2], statusSeries, ['4xxShare']);
+    this.markAnomalies(this.httpStatusChart.data.datasets[3], statusSeries, ['5xxShare']);
     this.httpStatusChart.update('none');
   }
 
+  indexAnomalies(timeseries, anomalies) {
+    this.seriesDatetimes = (timeseries || []).map(p => p.datetime);
+    this.anomaliesByDatetime = new Map();
+    (anomalies || []).forEach(anomaly => {
+      const list = this.anomaliesByDatetime.get(anomaly.datetime) || [];
+      list.push(anomaly);
+      this.anomaliesByDatetime.set(anomaly.datetime, list);
+    });
+  }
+
+  // Shows flagged points on a dataset that otherwise draws no points
+  markAnomalies(dataset, points, metrics) {
+    const color = this.getCssVariable('--text-error', '#ff6b6b');
+    const flagged = points.map(p => (this.anomaliesByDatetime.get(p.datetime) || []).some(a => metrics.includes(a.metric)));
+    dataset.pointRadius = flagged.map(isFlagged => (isFlagged ? 5 : 0));
+    dataset.pointBackgroundColor = flagged.map(isFlagged => (isFlagged ? color : dataset.borderColor));
+    dataset.pointBorderColor = dataset.pointBackgroundColor;
+  }
+
+  anomalyFooter(items, metrics) {
+    if (!items.length) return '';
+    const datetime = this.seriesDatetimes[items[0].dataIndex];
+    const anomalies = (this.anomaliesByDatetime.get(datetime) || []).filter(a => metrics.includes(a.metric));
+    const labels = { requests: 'requests', threats: 'threats', '4xxShare': '4xx share', '5xxShare': '5xx share' };
+    const format = (metric, value) => (metric.endsWith('Share') ? `${(value * 100).toFixed(1)}%` : formatNumber(Math.round(value)));
+    return anomalies.map(a => `⚠ Unusual ${labels[a.metric]}: ${format(a.metric, a.value)} (expected ~${format(a.metric, a.expected)})`);
+  }
+
   updateLastUpdated(lastUpdated) {
     if (lastUpdated) {
       const time = new Date(lastUpdated);
@@ -489,42 +996,193 @@ class AnalyticsDashboard {
     if (ver) document.getElementById('buildVersion').textContent = `v${ver}`;
   }
 
+  updateFreshness(data) {
+    this.dataAge = typeof data.dataAge === 'number' ? { seconds: data.dataAge, receivedAt: Date.now() } : null;
+    this.serverStale = Boolean(data.stale);
+    this.staleReason = data.staleReason || '';
+    this.renderFreshness();
+  }
+
+  // Dims the widgets while the snapshot is one the server failed to refresh, or one that is
+  // several refresh cycles old (e.g. the server itself is unreachable)
+  renderFreshness() {
+    const age = this.dataAge ? this.dataAge.seconds + (Date.now() - this.dataAge.receivedAt) / 1000 : null;
+    const stale = this.serverStale || (age !== null && age > this.refreshInterval * 3);
+    document.body.classList.toggle('stale', stale);
+
+    const badge = document.getElementById('staleBadge');
+    if (!badge) return;
+    badge.style.display = stale ? '' : 'none';
+    badge.textContent = stale && age !== null ? `Stale · ${formatDuration(age)} old` : 'Stale';
+    badge.title = this.staleReason;
+  }
+
   updateSystemInfo(data) {
     if (data && data.siteStatus) {
-      const statusElement = document.getElementById('systemStatus');
       const status = data.siteStatus.status;
       const message = data.siteStatus.message;
-      statusElement.textContent = message || status;
-      statusElement.className = 'info-value';
+      let state;
       switch (status) {
-        case 'online': statusElement.classList.add('online'); break;
+        case 'online': state = 'online'; break;
         case 'offline':
-        case 'error': statusElement.classList.add('error'); break;
-        default: statusElement.classList.add('warning');
+        case 'error': state = 'error'; break;
+        default: state = 'warning';
       }
+      this.setSystemStatus(message || status, state);
     } else {
-      document.getElementById('systemStatus').textContent = 'Online';
-      document.getElementById('systemStatus').className = 'info-value online';
+      this.setSystemStatus('Online', 'online');
     }
-    document.getElementById('refreshInterval').textContent = `${this.refreshInterval}s`;
+    this.updateRefreshMode();
   }
 
-  startRefreshTimer() {
-    this.stopRefreshTimer();
-    let countdown = this.refreshInterval;
+  setSystemStatus(text, state) {
+    this.fieldElements('systemStatus').forEach(el => {
+      el.textContent = text;
+      el.className = `info-value ${state}`;
+    });
+  }
+
+  updateRefreshMode() {
+    const mode = this.streamConnected ? 'live' : 'poll';
+    this.setField('refreshInterval', `${this.refreshInterval}s ${mode}`);
+  }
+
+  connectStream() {
+    this.disconnectStream();
+    if (!window.EventSource) {
+      this.startRefreshTimer();
+      return;
+    }
+
+    // Tell the server which display this is and what it shows, for the display registry
+    const params = new URLSearchParams(this.viewQuery());
+    params.set('display', this.displayId);
+    params.set('theme', document.body.dataset.theme || '');
+    if (this.layout) params.set('layout', this.layout.name);
+    const source = new EventSource(`/api/analytics/stream?${params.toString()}`);
+    this.eventSource = source;
+
+    source.addEventListener('open', () => {
+      this.streamConnected = true;
+      this.streamRetryDelay = 1000;
+      this.stopRefreshTimer();
+      this.updateRefreshMode();
+    });
+
+    source.addEventListener('snapshot', (event) => {
+      try {
+        this.handleSnapshot(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid stream snapshot:', error);
+      }
+    });
+
+    source.addEventListener('settings', (event) => {
+      try {
+        this.applySettings(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid settings event:', error);
+      }
+    });
+
+    source.addEventListener('command', (event) => {
+      try {
+        this.runCommand(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid command event:', error);
+      }
+    });
+
+    source.addEventListener('error', () => {
+      // Reconnect ourselves so the delay backs off instead of EventSource's fixed retry
+      console.warn(`Analytics stream lost, reconnecting in ${this.streamRetryDelay / 1000}s`);
+      this.disconnectStream();
+      if (!this.refreshTimer) this.startRefreshTimer();
+      this.updateRefreshMode();
+      this.streamReconnectTimer = setTimeout(() => this.connectStream(), this.streamRetryDelay);
+      this.streamRetryDelay = Math.min(this.streamRetryDelay * 2, 60000);
+    });
+  }
+
+  disconnectStream() {
+    if (this.streamReconnectTimer) { clearTimeout(this.streamReconnectTimer); this.streamReconnectTimer = null; }
+    if (this.eventSource) { this.eventSource.close(); this.eventSource = null; }
+    this.streamConnected = false;
+  }
+
+  // Commands pushed to this display through /api/displays
+  runCommand(command) {
+    switch (command.type) {
+      case 'theme':
+        localStorage.setItem('dashboard-theme', command.theme);
+        this.setTheme(command.theme);
+        break;
+      case 'layout':
+        localStorage.setItem('dashboard-layout', command.layout);
+        document.body.dataset.layout = command.layout;
+        this.fetchLayout(command.layout)
+          .then(layout => this.applyLayout(layout))
+          .catch(error => console.error(`Failed to load layout ${command.layout}:`, error));
+        break;
+      case 'reload':
+        window.location.reload();
+        break;
+      case 'message':
+        this.showMessage(command.text, command.seconds);
+        break;
+      default:
+        console.warn(`Unknown display command ${command.type}`);
+    }
+  }
+
+  showMessage(text, seconds) {
+    const overlay = document.getElementById('messageOverlay');
+    if (!overlay) return;
+    overlay.querySelector('.message-text').textContent = text;
+    overlay.style.display = 'flex';
+    if (this.messageTimer) clearTimeout(this.messageTimer);
+    this.messageTimer = setTimeout(() => {
+      overlay.style.display = 'none';
+      this.messageTimer = null;
+    }, seconds * 1000);
+  }
+
+  handleSnapshot(data) {
+    if (data.zone && this.currentZone && data.zone.id !== this.currentZone) return;
+    if (data.range && data.range !== this.currentRange) return;
+    this.hideError();
+    this.updateDashboard(data);
+    this.lastUpdateTime = new Date();
+    this.refreshInterval = data.refreshInterval || 30;
+    this.applySchedule(data);
+  }
+
+  applySchedule(data) {
+    // nextRefreshIn is relative, so client/server clock skew doesn't matter
+    const delay = typeof data.nextRefreshIn === 'number' ? data.nextRefreshIn : this.refreshInterval * 1000;
+    this.nextUpdateAt = Date.now() + delay;
+  }
+
+  startCountdown() {
+    if (this.countdownTimer) clearInterval(this.countdownTimer);
     const updateCountdown = () => {
-      document.getElementById('nextUpdate').textContent = `${countdown}s`;
-      countdown--;
-      if (countdown < 0) countdown = this.refreshInterval;
+      this.renderFreshness();
+      if (!this.nextUpdateAt) { this.setField('nextUpdate', '-'); return; }
+      const remaining = Math.max(0, Math.round((this.nextUpdateAt - Date.now()) / 1000));
+      this.setField('nextUpdate', `${remaining}s`);
     };
     updateCountdown();
     this.countdownTimer = setInterval(updateCountdown, 1000);
+  }
+
+  // Polling fallback, used only while the live stream is unavailable
+  startRefreshTimer() {
+    this.stopRefreshTimer();
     this.refreshTimer = setInterval(() => { this.fetchAnalytics(); }, this.refreshInterval * 1000);
   }
 
   stopRefreshTimer() {
     if (this.refreshTimer) { clearInterval(this.refreshTimer); this.refreshTimer = null; }
-    if (this.countdownTimer) { clearInterval(this.countdownTimer); this.countdownTimer = null; }
   }
 
   showLoading(show) {
@@ -548,6 +1206,8 @@ class AnalyticsDashboard {
       dataset.borderColor = baseColor;
       dataset.backgroundColor = this.colorWithAlpha(baseColor, 0.12);
     });
+    const ghost = this.trafficChart.data.datasets.find(dataset => dataset.label === 'Previous Requests');
+    if (ghost) ghost.borderColor = this.colorWithAlpha(datasetColorMap.Requests, 0.45);
 
     const gridColor = this.getCssVariable('--border-tertiary', 'rgba(127,127,127,0.2)');
     const tickColor = this.getCssVariable('--text-tertiary', '#888');
@@ -566,6 +1226,33 @@ class AnalyticsDashboard {
     this.trafficChart.update('none');
   }
 
+  applySecurityChartTheme() {
+    if (!this.securityChart) return;
+
+    const colors = [
+      this.getCssVariable('--status-server-error', '#ff4757'),
+      this.getCssVariable('--status-redirect', '#45b7d1'),
+    ];
+    this.securityChart.data.datasets.forEach((dataset, index) => {
+      dataset.backgroundColor = this.colorWithAlpha(colors[index], 0.7);
+    });
+
+    const gridColor = this.getCssVariable('--border-tertiary', 'rgba(127,127,127,0.2)');
+    const tickColor = this.getCssVariable('--text-tertiary', '#888');
+    const tooltipBg = this.getCssVariable('--bg-overlay', 'rgba(0,0,0,0.8)');
+    const tooltipText = this.getCssVariable('--text-primary', '#fff');
+    const tooltipBorder = this.getCssVariable('--border-primary', 'rgba(0, 212, 255, 0.5)');
+
+    this.securityChart.options.scales.y.grid.color = gridColor;
+    this.securityChart.options.scales.x.ticks.color = tickColor;
+    this.securityChart.options.scales.y.ticks.color = tickColor;
+    this.securityChart.options.plugins.tooltip.backgroundColor = tooltipBg;
+    this.securityChart.options.plugins.tooltip.titleColor = tooltipText;
+    this.securityChart.options.plugins.tooltip.bodyColor = tooltipText;
+    this.securityChart.options.plugins.tooltip.borderColor = tooltipBorder;
+    this.securityChart.update('none');
+  }
+
   applyHttpStatusChartTheme() {
     if (!this.httpStatusChart) return;
 
@@ -649,7 +1336,42 @@ class AnalyticsDashboard {
     return trimmed;
   }
 
+  // Export menu: each option downloads /api/export for the zone and range on screen
+  initExportMenu() {
+    const button = document.getElementById('exportButton');
+    const options = document.getElementById('exportOptions');
+    if (!button || !options) return;
+
+    const close = () => {
+      options.hidden = true;
+      button.setAttribute('aria-expanded', 'false');
+    };
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      options.hidden = !options.hidden;
+      button.setAttribute('aria-expanded', String(!options.hidden));
+    });
+    document.addEventListener('click', close);
+
+    options.querySelectorAll('[data-format]').forEach(option => {
+      option.addEventListener('click', () => {
+        const params = new URLSearchParams(this.viewQuery());
+        params.set('format', option.dataset.format);
+        if (option.dataset.datasets) params.set('datasets', option.dataset.datasets);
+        const link = document.createElement('a');
+        link.href = `/api/export?${params.toString()}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        close();
+      });
+    });
+  }
+
   initTheme() {
+    // The theme the server injected, before this display's own pick replaces it
+    this.serverTheme = document.body.dataset.theme;
     const saved = localStorage.getItem('dashboard-theme');
     if (saved) document.body.dataset.theme = saved;
 
@@ -663,27 +1385,32 @@ class AnalyticsDashboard {
       };
       if (presetColors[theme]) btn.style.background = presetColors[theme];
       btn.addEventListener('click', () => {
-        document.body.dataset.theme = theme;
         localStorage.setItem('dashboard-theme', theme);
-        this.applyTrafficChartTheme();
-        this.applyHttpStatusChartTheme();
+        this.setTheme(theme);
+        // Reconnect so the display registry sees the new theme
+        if (this.eventSource || this.streamReconnectTimer) this.connectStream();
       });
     });
   }
 
+  setTheme(theme) {
+    document.body.dataset.theme = theme;
+    this.applyTrafficChartTheme();
+    this.applyHttpStatusChartTheme();
+    this.applySecurityChartTheme();
+  }
+
   showError(message) {
     const errorElement = document.getElementById('errorMessage');
     const errorText = errorElement.querySelector('.error-text');
     errorText.textContent = message;
     errorElement.style.display = 'block';
-    document.getElementById('systemStatus').textContent = 'Error';
-    document.getElementById('systemStatus').className = 'info-value error';
+    this.setSystemStatus('Error', 'error');
   }
 
   hideError() {
     document.getElementById('errorMessage').style.display = 'none';
-    document.getElementById('systemStatus').textContent = 'Online';
-    document.getElementById('systemStatus').className = 'info-value online';
+    this.setSystemStatus('Online', 'online');
   }
 
   getCountryFlag(countryCode) {
@@ -0,0 +1,244 @@
+// Layout engine: builds the dashboard grid from a layout definition served by /api/layouts/:name.
+// Widgets mark the elements the dashboard updates with data-field / data-list attributes,
+// so a layout may show any widget more than once, or not at all.
+
+// Metric cards a "metrics" widget can show, keyed by the name used in layout files.
+// `change` is the caption under the value; 'range' follows the selected time range.
+// `total` names the totals field compared against the previous period.
+const METRIC_CARDS = {
+  pageviews: { icon: 'PV', label: 'Page Views', change: 'range', total: 'pageviews' },
+  pageviewsCached: { icon: 'PVc', label: 'Cached Page Views', change: 'est' },
+  uniques: { icon: 'UV', label: 'Unique Visitors', change: 'range', total: 'uniques' },
+  uniquesCached: { icon: 'UVc', label: 'Cached Uniques', change: 'est' },
+  requests: { icon: 'REQ', label: 'Total Requests', change: 'range', total: 'requests' },
+  requestsCached: { icon: 'REQc', label: 'Cached Requests', change: 'hit rate', changeField: 'cacheHitRate', total: 'cachedRequests' },
+  bandwidth: { icon: 'BW', label: 'Bandwidth', change: 'range', total: 'bytes' },
+  bandwidthCached: { icon: 'BWc', label: 'Cached Bandwidth', change: 'estimated', total: 'cachedBytes' },
+  threats: { icon: 'THR', label: 'Threats', change: 'range', total: 'threats' },
+  // Cost estimates, shown by the "costs" widget
+  originEgress: { icon: 'ORG', label: 'Origin Egress', change: '-', changeField: 'originEgressCost' },
+  cacheSavings: { icon: 'SAV', label: 'Saved by Cache', change: '-', changeField: 'cacheSavingsCost' },
+  costMonthToDate: { icon: 'MTD', label: 'Cost Month to Date', change: '-', changeField: 'costMonthToDateUsage' },
+  costProjected: { icon: 'PRJ', label: 'Projected This Month', change: '-', changeField: 'costQuota' },
+};
+
+const COST_CARDS = ['originEgress', 'cacheSavings', 'costMonthToDate', 'costProjected'];
+
+// windowed: read from an adaptive dataset, so the header shows the window actually covered
+const LIST_SOURCES = {
+  geo: { title: 'Top Countries', loading: 'Loading geographic data...' },
+  paths: { title: 'Top Paths', loading: 'Loading path data...', windowed: true },
+  cache: { title: 'Cache Status', loading: 'Loading cache data...', windowed: true },
+  monitors: { title: 'Uptime (24h)', loading: 'Loading monitor data...' },
+  rules: { title: 'Top Firewall Rules', loading: 'Loading security data...', windowed: true },
+  ips: { title: 'Top Offending IPs', loading: 'Loading security data...', windowed: true },
+  asns: { title: 'Top Offending ASNs', loading: 'Loading security data...', windowed: true },
+};
+
+function legendItems(items) {
+  return items.map(([className, label]) => `
+    <span class="legend-item">
+      <span class="legend-color ${className}"></span>
+      ${label}
+    </span>
+  `).join('');
+}
+
+function createWidgetElement(tag, className, html) {
+  const el = document.createElement(tag);
+  el.className = className;
+  el.innerHTML = html;
+  return el;
+}
+
+const WIDGET_RENDERERS = {
+  metrics(options) {
+    const keys = (options.cards || Object.keys(METRIC_CARDS).filter(key => !COST_CARDS.includes(key))).filter(key => {
+      if (METRIC_CARDS[key]) return true;
+      console.warn(`Unknown metric card in layout: ${key}`);
+      return false;
+    });
+    const html = keys.map(key => {
+      const card = METRIC_CARDS[key];
+      const caption = card.change === 'range'
+        ? '<span class="range-label"></span>'
+        : `<span${card.changeField ? ` data-field="${card.changeField}"` : ''}>${card.change}</span>`;
+      const delta = card.total ? ` <span class="metric-delta" data-delta="${card.total}"></span>` : '';
+      const change = `<div class="metric-change">${caption}${delta}</div>`;
+      return `
+        <div class="metric-card" data-card="${key}">
+          <div class="metric-icon">${card.icon}</div>
+          <div class="metric-content">
+            <div class="metric-value" data-field="${key}">-</div>
+            <div class="metric-label">${card.label}</div>
+            ${change}
+          </div>
+        </div>
+      `;
+    }).join('');
+    const section = createWidgetElement('section', 'metrics-section', html);
+    const columns = parseInt(options.columns, 10);
+    if (columns > 0) section.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+    return section;
+  },
+
+  // Bandwidth cost card group; takes the same options as "metrics" but defaults to the cost cards
+  costs(options) {
+    return WIDGET_RENDERERS.metrics({ cards: COST_CARDS, ...options });
+  },
+
+  traffic(options) {
+    const items = [
+      ['legend-pageviews', 'Page Views'],
+      ['legend-cached-pageviews', 'Cached Page Views'],
+      ['legend-requests', 'Requests'],
+      ['legend-cached-requests', 'Cached Requests'],
+    ];
+    if (options.previous) items.push(['legend-previous-requests', 'Previous Period']);
+    const legend = options.legend === false ? '' : `
+      <div class="chart-legend">
+        ${legendItems(items)}
+      </div>
+    `;
+    return createWidgetElement('div', 'chart-container traffic-chart', `
+      <div class="chart-header">
+        <h3 data-field="trafficTitle">Traffic Over Time</h3>
+        ${legend}
+      </div>
+      <canvas class="traffic-canvas" data-previous="${options.previous ? 'true' : 'false'}"></canvas>
+    `);
+  },
+
+  list(options) {
+    const source = LIST_SOURCES[options.source] ? options.source : 'geo';
+    if (source !== options.source) console.warn(`Unknown list source in layout: ${options.source}`);
+    const limit = parseInt(options.limit, 10) || 8;
+    return createWidgetElement('div', 'chart-container geo-chart', `
+      <div class="chart-header">
+        <h3>${escapeHtml(options.title || LIST_SOURCES[source].title)}${LIST_SOURCES[source].windowed ? ' <span class="list-window" data-field="adaptiveWindow"></span>' : ''}</h3>
+      </div>
+      <div class="geo-list ${source}-list" data-list="${source}" data-limit="${limit}">
+        <div class="loading">${LIST_SOURCES[source].loading}</div>
+      </div>
+    `);
+  },
+
+  status(options) {
+    const chartHeight = parseInt(options.chartHeight, 10) || 140;
+    const chart = options.chart === false ? '' : `
+      <div class="status-chart-container" style="height: ${chartHeight}px;">
+        <canvas class="status-canvas"></canvas>
+      </div>
+    `;
+    const classes = [['2xx', 'success'], ['3xx', 'redirect'], ['4xx', 'error'], ['5xx', 'server-error']];
+    const counts = options.counts === false ? '' : `
+      <div class="status-grid">
+        ${classes.map(([code, className]) => `
+          <div class="status-item">
+            <div class="status-code ${className}">${code}</div>
+            <div class="status-count" data-field="status${code}">-</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    return createWidgetElement('div', 'status-container', `
+      <div class="status-header">
+        <h3>HTTP Status Codes</h3>
+        <div class="chart-legend status-legend">
+          ${legendItems(classes.map(([code]) => [`legend-status-${code}`, code]))}
+        </div>
+      </div>
+      ${chart}
+      ${counts}
+    `);
+  },
+
+  // Blocked vs challenged firewall events over time. Firewall data covers at most the last
+  // day, so the header shows the window actually queried.
+  security(options) {
+    const chartHeight = parseInt(options.chartHeight, 10) || 140;
+    const classes = [['blocked', 'server-error', 'Blocked'], ['challenged', 'redirect', 'Challenged']];
+    const counts = options.counts === false ? '' : `
+      <div class="status-grid">
+        ${classes.map(([key, className, label]) => `
+          <div class="status-item">
+            <div class="status-code ${className}">${label}</div>
+            <div class="status-count" data-field="security-${key}">-</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    return createWidgetElement('div', 'status-container security-container', `
+      <div class="status-header">
+        <h3>Security Events <span class="security-window" data-field="securityWindow"></span></h3>
+        <div class="chart-legend status-legend">
+          ${legendItems(classes.map(([key, , label]) => [`legend-security-${key}`, label]))}
+        </div>
+      </div>
+      <div class="status-chart-container" style="height: ${chartHeight}px;">
+        <canvas class="security-canvas"></canvas>
+      </div>
+      ${counts}
+    `);
+  },
+
+  system() {
+    return createWidgetElement('div', 'system-info', `
+      <div class="info-item">
+        <span class="info-label">Status:</span>
+        <span class="info-value online" data-field="systemStatus">Online</span>
+      </div>
+      <div class="info-item">
+        <span class="info-label">Refresh:</span>
+        <span class="info-value" data-field="refreshInterval">30s</span>
+      </div>
+      <div class="info-item">
+        <span class="info-label">Next Update:</span>
+        <span class="info-value" data-field="nextUpdate">-</span>
+      </div>
+    `);
+  },
+};
+
+// Grid tracks and gap shared by the root layout and nested "grid" widgets
+function applyGrid(el, node) {
+  if (node.columns) el.style.gridTemplateColumns = node.columns;
+  if (node.rows) el.style.gridTemplateRows = node.rows;
+  if (node.gap !== undefined) el.style.gap = `${parseInt(node.gap, 10) || 0}px`;
+}
+
+function renderWidget(node) {
+  const type = node.type || 'grid';
+  let el;
+  if (type === 'grid') {
+    el = document.createElement('div');
+    el.className = 'layout-grid';
+    applyGrid(el, node);
+    (node.widgets || []).forEach(child => {
+      const childEl = renderWidget(child);
+      if (childEl) el.appendChild(childEl);
+    });
+  } else {
+    const render = WIDGET_RENDERERS[type];
+    if (!render) {
+      console.warn(`Unknown widget type in layout: ${type}`);
+      return null;
+    }
+    el = render(node.options || {});
+  }
+  if (node.column !== undefined) el.style.gridColumn = String(node.column);
+  if (node.row !== undefined) el.style.gridRow = String(node.row);
+  return el;
+}
+
+// Replaces the container's contents with the layout's widgets; the container itself is the root grid
+function renderLayout(layout, container) {
+  container.innerHTML = '';
+  container.removeAttribute('style');
+  applyGrid(container, layout);
+  (layout.widgets || []).forEach(node => {
+    const el = renderWidget(node);
+    if (el) container.appendChild(el);
+  });
+  document.body.dataset.header = layout.header || 'full';
+}
@@ -13,6 +13,32 @@ function formatBytes(bytes) {
   return (bytes / Math.pow(1024, i)).toFixed(1) + ' ' + sizes[i];
 }
 
+function formatCurrency(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'USD' }).format(amount || 0);
+  } catch (err) {
+    // Unknown currency code in the server config
+    return `${(amount || 0).toFixed(2)} ${currency}`;
+  }
+}
+
+// Compact age such as 45s, 12m or 3h
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  return `${Math.floor(seconds / 3600)}h`;
+}
+
+// Escape untrusted text (e.g. request paths) before interpolating into innerHTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Add CSS animation for pulse effect (used by metric cards)
 (function injectPulseAnimation() {
   const style = document.createElement('style');
@@ -12,12 +12,62 @@ const compression = require('compression');
 const path = require('path');
 const fs = require('fs');
 
-const { PORT, REFRESH_INTERVAL, THEME, DASH_VERSION } = require('./src/config');
-const { log } = require('./src/logger');
-const { fetchAnalyticsData, analyticsCache } = require('./src/services/analyticsService');
+const {
+  PORT, DASH_VERSION, ZONES, SETTINGS, SETTINGS_FILE, HISTORY_RETENTION_DAYS, MONITOR_RETENTION_HOURS, AUTH_CONFIG,
+  CORS_ORIGINS,
+} = require('./src/config');
+const { log, closeLog, requestLogger } = require('./src/logger');
+const {
+  authEnabled, authenticate, requireAdmin, createShareToken,
+} = require('./src/auth');
+const { getZoneClient } = require('./src/cloudflareClient');
+const {
+  fetchAnalyticsData, backfillHistory, getHistoricalTimeseries, analyticsEvents, getZone, getRange, getZoneCache,
+  isCacheFresh, cacheTtlMs, RANGES, DEFAULT_RANGE,
+} = require('./src/services/analyticsService');
+const { pruneHistory } = require('./src/services/historyStore');
+const streamService = require('./src/services/streamService');
+const alertService = require('./src/services/alertService');
+const metricsService = require('./src/services/metricsService');
+const layoutService = require('./src/services/layoutService');
+const monitorService = require('./src/services/monitorService');
+const exportService = require('./src/services/exportService');
+const reportService = require('./src/services/reportService');
+const settingsService = require('./src/services/settingsService');
+const displayService = require('./src/services/displayService');
 
 const app = express();
 
+// When the next scheduled refresh fires; streamed to clients so their countdown matches the server
+let nextRefreshAt = Date.now() + SETTINGS.refreshInterval * 1000;
+let refreshTimer = null;
+
+// Milliseconds until the scheduled refresh that brings new data for this snapshot. Ranges with
+// a cacheTtl longer than the interval keep their snapshot through the refreshes inside it.
+function nextRefreshFor(data) {
+  const intervalMs = SETTINGS.refreshInterval * 1000;
+  let next = nextRefreshAt;
+  if (RANGES[data.range] && data.lastUpdated && !data.stale) {
+    const expiresAt = Date.parse(data.lastUpdated) + cacheTtlMs(data.range);
+    if (expiresAt > next) next += Math.ceil((expiresAt - next) / intervalMs) * intervalMs;
+  }
+  return Math.max(0, next - Date.now());
+}
+
+// Adds server-side state that isn't part of the cached snapshot: data age, refresh schedule,
+// active alerts and uptime monitors
+function withLiveState(data) {
+  return {
+    ...data,
+    dataAge: data.lastUpdated ? Math.round((Date.now() - Date.parse(data.lastUpdated)) / 1000) : null,
+    nextRefreshIn: nextRefreshFor(data),
+    alerts: alertService.getActiveAlerts(),
+    monitors: monitorService.getSummaries(),
+  };
+}
+
+alertService.loadRules();
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -31,15 +81,39 @@ app.use(helmet({
   },
 }));
 app.use(compression());
-app.use(cors());
+// Cross-origin calls only from configured origins; without CORS_ORIGINS the browser's same-origin policy applies
+if (CORS_ORIGINS.length > 0) {
+  app.use(cors({ origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS }));
+}
 app.use(express.json());
-app.use(express.static('public'));
+app.use(requestLogger);
+// index: false so '/' goes through the route below, which injects theme, version and layout.
+// Static assets hold no data, so they are served before authentication.
+app.use(express.static('public', { index: false }));
+app.use(authenticate);
+
+// Settings and the version end up in HTML attributes
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
 // Routes
 app.get('/', (req, res) => {
   const htmlPath = path.join(__dirname, 'public', 'index.html');
   let html = fs.readFileSync(htmlPath, 'utf8');
-  html = html.replace('<body>', `<body data-theme="${THEME}" data-version="${DASH_VERSION}">`);
+  html = html.replace('<body>', `<body data-theme="${escapeHtml(SETTINGS.theme)}" data-version="${escapeHtml(DASH_VERSION)}" data-layout="${escapeHtml(SETTINGS.defaultLayout)}">`);
+  res.setHeader('Content-Type', 'text/html');
+  res.send(html);
+});
+
+app.get('/admin', requireAdmin, (req, res) => {
+  const htmlPath = path.join(__dirname, 'public', 'admin.html');
+  let html = fs.readFileSync(htmlPath, 'utf8');
+  html = html.replace('<body>', `<body data-theme="${escapeHtml(SETTINGS.theme)}">`);
   res.setHeader('Content-Type', 'text/html');
   res.send(html);
 });
@@ -50,40 +124,372 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     version: require('./package.json').version,
-    cache: {
-      hasData: !!analyticsCache.data,
-      lastUpdated: analyticsCache.lastUpdated,
-      isUpdating: analyticsCache.isUpdating,
-    },
+    cache: ZONES.map((zone) => {
+      const zoneCache = getZoneCache(zone.id);
+      return {
+        zone: zone.id,
+        hasData: !!zoneCache.data,
+        lastUpdated: zoneCache.lastUpdated,
+        isUpdating: zoneCache.isUpdating,
+        stale: zoneCache.data ? zoneCache.data.stale : false,
+        circuit: getZoneClient(zone).getBreakerState(),
+      };
+    }),
+    streamClients: streamService.getClientCount(),
   };
   res.json(health);
 });
 
+app.get('/api/zones', (req, res) => {
+  res.json({
+    zones: ZONES.map((zone) => ({ id: zone.id, label: zone.label, siteUrl: zone.siteUrl })),
+    rotateInterval: SETTINGS.zoneRotateInterval,
+    ranges: Object.keys(RANGES),
+    defaultRange: DEFAULT_RANGE,
+  });
+});
+
+app.get('/api/layouts', (req, res) => {
+  res.json({
+    layouts: layoutService.listLayouts(),
+    defaultLayout: SETTINGS.defaultLayout,
+  });
+});
+
+app.get('/api/layouts/:name', (req, res) => {
+  try {
+    const layout = layoutService.loadLayout(req.params.name);
+    if (!layout) {
+      res.status(404).json({ error: `Unknown layout: ${req.params.name}` });
+      return;
+    }
+    res.json(layout);
+  } catch (error) {
+    log('ERROR', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  const entries = ZONES.map((zone) => ({ zone, snapshot: getZoneCache(zone.id).data }));
+  res.setHeader('Content-Type', metricsService.CONTENT_TYPE);
+  res.send(metricsService.renderMetrics(entries));
+});
+
 app.get('/api/analytics', async (req, res) => {
+  const zone = getZone(req.query.zone);
+  if (!zone) {
+    res.status(404).json({ error: `Unknown zone: ${req.query.zone}` });
+    return;
+  }
+  const range = getRange(req.query.range);
+  if (!range) {
+    res.status(400).json({ error: `Unknown range: ${req.query.range}. Use one of ${Object.keys(RANGES).join(', ')}` });
+    return;
+  }
+
   try {
-    const data = await fetchAnalyticsData();
-    res.json(data);
+    const data = await fetchAnalyticsData(zone.id, range);
+    if (!data) {
+      // First refresh for this zone and range is still in flight
+      res.status(503).json({ error: 'Analytics data is still loading' });
+      return;
+    }
+    res.json(withLiveState(data));
   } catch (error) {
     log('ERROR', `API error: ${error.message}`);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+app.get('/api/analytics/stream', (req, res) => {
+  const zone = getZone(req.query.zone);
+  if (!zone) {
+    res.status(404).json({ error: `Unknown zone: ${req.query.zone}` });
+    return;
+  }
+  const range = getRange(req.query.range);
+  if (!range) {
+    res.status(400).json({ error: `Unknown range: ${req.query.range}. Use one of ${Object.keys(RANGES).join(', ')}` });
+    return;
+  }
+
+  // Dashboards identify themselves so they show up in the display registry and can be sent commands
+  const display = displayService.connectDisplay(req.query.display, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    theme: req.query.theme,
+    layout: req.query.layout,
+    zone: zone.id,
+    range,
+  });
+  const cached = getZoneCache(zone.id, range).data;
+  streamService.addClient(req, res, zone.id, range, cached ? withLiveState(cached) : null, display && display.id);
+  // The first viewer of a range gets its snapshot as soon as it is fetched, not on the next refresh
+  if (!cached) {
+    fetchAnalyticsData(zone.id, range).catch((error) => {
+      log('ERROR', `${range} data fetch for a new stream client failed for ${zone.id}: ${error.message}`);
+    });
+  }
+  if (display) req.on('close', () => displayService.disconnectDisplay(display.id));
+});
+
+app.get('/api/history', (req, res) => {
+  const zone = getZone(req.query.zone);
+  if (!zone) {
+    res.status(404).json({ error: `Unknown zone: ${req.query.zone}` });
+    return;
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), HISTORY_RETENTION_DAYS);
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  const timeseries = getHistoricalTimeseries(zone.id, from, to);
+
+  res.json({
+    zone: { id: zone.id, label: zone.label },
+    from: from.toISOString(),
+    to: to.toISOString(),
+    timeseries,
+    httpStatusSeries: timeseries.map((pt) => ({
+      datetime: pt.datetime,
+      ...pt.statusBuckets,
+    })),
+  });
+});
+
+// Downloads the current snapshot's series (and stored history) as CSV, NDJSON or XLSX.
+// ?datasets= picks tables; CSV takes exactly one and defaults to the timeseries.
+app.get('/api/export', async (req, res) => {
+  const zone = getZone(req.query.zone);
+  if (!zone) {
+    res.status(404).json({ error: `Unknown zone: ${req.query.zone}` });
+    return;
+  }
+  const range = getRange(req.query.range);
+  if (!range) {
+    res.status(400).json({ error: `Unknown range: ${req.query.range}. Use one of ${Object.keys(RANGES).join(', ')}` });
+    return;
+  }
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!exportService.EXPORT_FORMATS[format]) {
+    res.status(400).json({ error: `Unknown format: ${format}. Use one of ${Object.keys(exportService.EXPORT_FORMATS).join(', ')}` });
+    return;
+  }
+
+  const requested = req.query.datasets ? String(req.query.datasets).split(',').map((name) => name.trim()).filter(Boolean) : null;
+  let datasets = requested || (format === 'csv' ? ['timeseries'] : Object.keys(exportService.EXPORT_DATASETS));
+  const unknown = datasets.filter((name) => !exportService.EXPORT_DATASETS[name]);
+  if (unknown.length > 0) {
+    res.status(400).json({ error: `Unknown dataset: ${unknown.join(', ')}. Use ${Object.keys(exportService.EXPORT_DATASETS).join(', ')}` });
+    return;
+  }
+  if (format === 'csv' && datasets.length !== 1) {
+    res.status(400).json({ error: 'CSV exports hold one dataset; pick it with ?datasets=' });
+    return;
+  }
+
+  try {
+    const snapshot = await fetchAnalyticsData(zone.id, range);
+    if (!snapshot) {
+      res.status(503).json({ error: 'Analytics data is still loading' });
+      return;
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), HISTORY_RETENTION_DAYS);
+    const to = new Date();
+    const history = datasets.includes('history')
+      ? getHistoricalTimeseries(zone.id, new Date(to.getTime() - days * 24 * 60 * 60 * 1000), to)
+      : [];
+    // Stored history is only part of the default set when there is some
+    if (!requested && history.length === 0) datasets = datasets.filter((name) => name !== 'history');
+
+    const file = await exportService.renderExport(format, exportService.buildTables(datasets, { snapshot, history }));
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportService.exportFilename(zone.label, range, format)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(file.body);
+  } catch (error) {
+    log('ERROR', `Export error: ${error.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/reports', (req, res) => {
+  const zone = req.query.zone ? getZone(req.query.zone) : null;
+  if (req.query.zone && !zone) {
+    res.status(404).json({ error: `Unknown zone: ${req.query.zone}` });
+    return;
+  }
+
+  const reports = reportService.listReports({ zoneId: zone && zone.id, reportId: req.query.report }).map((meta) => ({
+    ...meta,
+    urls: {
+      html: `/api/reports/${meta.files.html}`,
+      pdf: `/api/reports/${meta.files.pdf}`,
+    },
+  }));
+  res.json({ reports, schedules: reportService.getSchedules() });
+});
+
+app.get('/api/reports/:file', (req, res) => {
+  const file = reportService.getReportFile(req.params.file);
+  if (!file) {
+    res.status(404).json({ error: `Unknown report file: ${req.params.file}` });
+    return;
+  }
+  res.download(file, req.params.file);
+});
+
+app.get('/api/alerts', (req, res) => {
+  const zone = req.query.zone ? getZone(req.query.zone) : null;
+  if (req.query.zone && !zone) {
+    res.status(404).json({ error: `Unknown zone: ${req.query.zone}` });
+    return;
+  }
+
+  res.json({
+    active: alertService.getActiveAlerts(zone && zone.id),
+    recent: alertService.getRecentAlerts(zone && zone.id),
+    rules: alertService.getRules(),
+  });
+});
+
+app.get('/api/monitors', (req, res) => {
+  res.json({ targets: monitorService.getSummaries() });
+});
+
+app.get('/api/monitors/:id', (req, res) => {
+  const target = monitorService.getTarget(req.params.id);
+  if (!target) {
+    res.status(404).json({ error: `Unknown monitor: ${req.params.id}` });
+    return;
+  }
+
+  const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), MONITOR_RETENTION_HOURS);
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+  res.json({
+    ...monitorService.summarize(target),
+    since: since.toISOString(),
+    results: monitorService.getResults(target.id, since),
+  });
+});
+
+// Mints a signed, expiring read-only link to the dashboard. The body may set a `label`, the
+// lifetime in `hours` and the view it opens (`zone`, `range`, `layout`).
+app.post('/api/share', requireAdmin, (req, res) => {
+  const body = req.body || {};
+  const hours = body.hours === undefined ? AUTH_CONFIG.shareTtlHours : Number(body.hours);
+  if (!(hours > 0)) {
+    res.status(400).json({ error: 'hours must be a positive number' });
+    return;
+  }
+  if (body.zone && !getZone(body.zone)) {
+    res.status(404).json({ error: `Unknown zone: ${body.zone}` });
+    return;
+  }
+  if (body.range && !getRange(body.range)) {
+    res.status(400).json({ error: `Unknown range: ${body.range}. Use one of ${Object.keys(RANGES).join(', ')}` });
+    return;
+  }
+
+  try {
+    const share = createShareToken({ label: String(body.label || ''), ttlHours: hours });
+    const params = new URLSearchParams({ share: share.token });
+    ['zone', 'range', 'layout'].forEach((key) => {
+      if (body[key]) params.set(key, String(body[key]));
+    });
+    log('INFO', `Share link${share.label ? ` "${share.label}"` : ''} created by ${req.auth.name}, expires ${share.expiresAt}`);
+    res.status(201).json({ ...share, url: `${req.protocol}://${req.get('host')}/?${params}` });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/displays', requireAdmin, (req, res) => {
+  res.json({ displays: displayService.listDisplays() });
+});
+
+// Pushes a command to one display, or to every connected dashboard when displayId is null
+function sendDisplayCommand(req, res, displayId) {
+  const problems = displayService.validateCommand(req.body);
+  if (problems.length > 0) {
+    res.status(400).json({ error: problems.join('; '), problems });
+    return;
+  }
+  if (displayId) {
+    const display = displayService.getDisplay(displayId);
+    if (!display) {
+      res.status(404).json({ error: `Unknown display ${displayId}` });
+      return;
+    }
+    if (!display.connected) {
+      res.status(409).json({ error: `Display ${displayId} is not connected` });
+      return;
+    }
+  }
+
+  const command = displayService.createCommand(req.body);
+  const sent = displayId
+    ? streamService.sendToDisplay(displayId, 'command', command)
+    : streamService.broadcastAll('command', command);
+  if (command.type === 'theme') displayService.recordDisplayState(displayId, { theme: command.theme });
+  if (command.type === 'layout') displayService.recordDisplayState(displayId, { layout: command.layout });
+  log('INFO', `Sent ${command.type} command to ${displayId ? `display ${displayId}` : 'all displays'} (${sent} connection(s))`);
+  res.status(202).json({ command, sent });
+}
+
+app.post('/api/displays/commands', requireAdmin, (req, res) => sendDisplayCommand(req, res, null));
+
+app.post('/api/displays/:id/commands', requireAdmin, (req, res) => sendDisplayCommand(req, res, req.params.id));
+
+app.get('/api/config', requireAdmin, (req, res) => {
+  res.json(settingsService.getSettings());
+});
+
+// Saves the given settings to the settings file and applies them without a restart
+app.put('/api/config', requireAdmin, (req, res) => {
+  const problems = settingsService.validateSettings(req.body);
+  if (problems.length > 0) {
+    res.status(400).json({ error: problems.join('; '), problems });
+    return;
+  }
+
+  try {
+    const changed = settingsService.updateSettings(req.body);
+    res.json({ changed, ...settingsService.getSettings() });
+  } catch (error) {
+    log('ERROR', `Could not save settings to ${SETTINGS_FILE}: ${error.message}`);
+    res.status(500).json({ error: 'Could not save settings' });
+  }
+});
+
+// Forgets saved settings and returns to the environment's values
+app.delete('/api/config', requireAdmin, (req, res) => {
+  try {
+    const changed = settingsService.resetSettings();
+    res.json({ changed, ...settingsService.getSettings() });
+  } catch (error) {
+    log('ERROR', `Could not reset settings in ${SETTINGS_FILE}: ${error.message}`);
+    res.status(500).json({ error: 'Could not reset settings' });
+  }
+});
+
 app.get('/api/status', (req, res) => {
   res.json({
     server: 'Cloudflare Analytics Display',
     version: require('./package.json').version,
     nodeVersion: process.version,
     environment: process.env.NODE_ENV || 'development',
-    refreshInterval: REFRESH_INTERVAL,
+    refreshInterval: SETTINGS.refreshInterval,
     timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  log('ERROR', `Server error: ${err.message}`);
-  res.status(500).json({ error: 'Internal server error' });
+  log('ERROR', `Server error: ${err.message}`, { stack: err.stack });
+  res.status(500).json({ error: 'Internal server error', requestId: req.id });
 });
 
 // 404 handler
@@ -91,48 +497,140 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  log('INFO', `Cloudflare Analytics Display server started on port ${PORT}`);
-  log('INFO', `Dashboard available at http://localhost:${PORT}`);
-  log('INFO', `Health check available at http://localhost:${PORT}/health`);
-  log('INFO', `API endpoint available at http://localhost:${PORT}/api/analytics`);
-  log('INFO', `Data refresh interval: ${REFRESH_INTERVAL} seconds`);
+// Push every cache refresh to stream subscribers of that zone, including failed refreshes
+// that re-send the last snapshot marked stale. Traffic alert rules are evaluated against fresh
+// default-range data before the snapshot is pushed, so subscribers see alerts from the same refresh
+analyticsEvents.on('update', (zoneId, range, data) => {
+  if (range === DEFAULT_RANGE && !data.stale) alertService.evaluate(data.zone, data);
+  streamService.broadcast(zoneId, range, withLiveState(data));
+});
 
-  // Initial data fetch
-  fetchAnalyticsData().catch((error) => {
-    log('ERROR', `Initial data fetch failed: ${error.message}`);
-  });
+// Availability rules follow every uptime check, whatever state the analytics refresh is in
+monitorService.monitorEvents.on('result', (target) => {
+  const zone = target.zone ? getZone(target.zone) : null;
+  if (zone) alertService.evaluateAvailability(zone);
 });
 
-// Periodic data refresh
-setInterval(() => {
-  fetchAnalyticsData().catch((error) => {
-    log('ERROR', `Scheduled data refresh failed: ${error.message}`);
+// Periodic data refresh: the default range for every zone, plus any other
+// range a stream client is watching
+function refreshAll() {
+  nextRefreshAt = Date.now() + SETTINGS.refreshInterval * 1000;
+  const targets = ZONES.map((zone) => ({ zoneId: zone.id, range: DEFAULT_RANGE }));
+  streamService.getSubscriptions().forEach((sub) => {
+    if (sub.range !== DEFAULT_RANGE && getZone(sub.zoneId)) targets.push(sub);
   });
-}, REFRESH_INTERVAL * 1000);
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  log('INFO', 'Received SIGINT - shutting down analytics server');
-  process.exit(0);
-});
+  targets.forEach(({ zoneId, range }) => {
+    // A snapshot inside its cacheTtl isn't refetched, so push it again: the stream's data age,
+    // alerts and monitors keep moving between fetches
+    if (isCacheFresh(zoneId, range)) {
+      streamService.broadcast(zoneId, range, withLiveState(getZoneCache(zoneId, range).data));
+      return;
+    }
+    fetchAnalyticsData(zoneId, range).catch((error) => {
+      log('ERROR', `Scheduled ${range} data refresh failed for ${zoneId}: ${error.message}`);
+    });
+  });
+}
 
-process.on('SIGTERM', () => {
-  log('INFO', 'Received SIGTERM - shutting down analytics server');
-  process.exit(0);
-});
+function scheduleRefresh() {
+  if (refreshTimer) clearInterval(refreshTimer);
+  nextRefreshAt = Date.now() + SETTINGS.refreshInterval * 1000;
+  refreshTimer = setInterval(refreshAll, SETTINGS.refreshInterval * 1000);
+}
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  log('ERROR', `Uncaught exception: ${error.message}`);
-  log('ERROR', error.stack);
-  process.exit(1);
+// Settings saved on the admin page take effect here: the refresh schedule restarts, the
+// availability checks follow new site URLs, new zones are fetched and every display gets
+// the new theme, rotation and zone list over its stream
+settingsService.settingsEvents.on('change', (changed) => {
+  if (changed.includes('refreshInterval') && refreshTimer) scheduleRefresh();
+  if (changed.includes('zones') || changed.includes('refreshInterval')) monitorService.startMonitors();
+  if (changed.includes('zones')) {
+    ZONES.filter((zone) => !getZoneCache(zone.id).data).forEach((zone) => {
+      fetchAnalyticsData(zone.id).catch((error) => {
+        log('ERROR', `Data fetch failed for ${zone.label}: ${error.message}`);
+      });
+    });
+  }
+  if (changed.includes('theme')) displayService.recordDisplayState(null, { theme: SETTINGS.theme });
+  streamService.broadcastAll('settings', settingsService.getDisplaySettings());
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  log('ERROR', `Unhandled rejection at: ${promise}, reason: ${reason}`);
-});
+// Listens on `port` and starts the scheduled work: refreshes, backfill, monitors, reports and
+// retention. Requiring this file only builds the app, so tests can drive it without timers.
+function start(port = PORT) {
+  const server = app.listen(port, () => {
+    log('INFO', `Cloudflare Analytics Display server started on port ${port}`);
+    log('INFO', `Dashboard available at http://localhost:${port}`);
+    log('INFO', `Health check available at http://localhost:${port}/health`);
+    log('INFO', `Prometheus metrics available at http://localhost:${port}/metrics`);
+    log('INFO', `API endpoint available at http://localhost:${port}/api/analytics`);
+    log('INFO', `History endpoint available at http://localhost:${port}/api/history`);
+    log('INFO', `Export endpoint available at http://localhost:${port}/api/export`);
+    log('INFO', `Reports endpoint available at http://localhost:${port}/api/reports`);
+    log('INFO', `Alerts endpoint available at http://localhost:${port}/api/alerts`);
+    log('INFO', `Layouts endpoint available at http://localhost:${port}/api/layouts`);
+    log('INFO', `Monitors endpoint available at http://localhost:${port}/api/monitors`);
+    log('INFO', `Settings page available at http://localhost:${port}/admin`);
+    log('INFO', `Displays endpoint available at http://localhost:${port}/api/displays`);
+    log('INFO', `Live stream available at http://localhost:${port}/api/analytics/stream`);
+    log('INFO', `Data refresh interval: ${SETTINGS.refreshInterval} seconds`);
+    if (authEnabled()) {
+      log('INFO', `Authentication enabled: ${AUTH_CONFIG.adminPassword ? 'admin password' : 'no admin password'}, ${AUTH_CONFIG.apiTokens.length} API token(s)`);
+    } else {
+      log('WARN', 'Authentication is disabled (no ADMIN_PASSWORD or API_TOKENS) - the dashboard and API are readable by anyone who can reach them; admin pages and changes are limited to localhost');
+    }
+    log('INFO', `Monitoring ${ZONES.length} zone(s): ${ZONES.map((zone) => zone.label).join(', ')}`);
+
+    monitorService.startMonitors();
+    reportService.startReports();
+
+    // Initial data fetch
+    ZONES.forEach((zone) => {
+      fetchAnalyticsData(zone.id).catch((error) => {
+        log('ERROR', `Initial data fetch failed for ${zone.label}: ${error.message}`);
+      });
+      backfillHistory(zone.id).catch((error) => {
+        log('ERROR', `History backfill failed for ${zone.label}: ${error.message}`);
+      });
+    });
+  });
+
+  scheduleRefresh();
+
+  // Daily history, monitor result and report retention pass
+  setInterval(() => {
+    ZONES.forEach((zone) => pruneHistory(zone.id));
+    monitorService.pruneResults();
+    reportService.pruneReports();
+  }, 24 * 60 * 60 * 1000);
+
+  return server;
+}
 
-module.exports = app;
+if (require.main === module) {
+  start();
+
+  // Graceful shutdown; each exit waits for the log file to take the last lines
+  process.on('SIGINT', () => {
+    log('INFO', 'Received SIGINT - shutting down analytics server');
+    closeLog(() => process.exit(0));
+  });
+
+  process.on('SIGTERM', () => {
+    log('INFO', 'Received SIGTERM - shutting down analytics server');
+    closeLog(() => process.exit(0));
+  });
+
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    log('ERROR', `Uncaught exception: ${error.message}`, { stack: error.stack });
+    closeLog(() => process.exit(1));
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    log('ERROR', `Unhandled rejection at: ${promise}, reason: ${reason}`);
+  });
+}
 
+module.exports = { app, start };
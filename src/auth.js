@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { AUTH_CONFIG } = require('./config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SHARE_COOKIE = 'share_token';
+// Reachable without credentials so container health checks keep working
+const PUBLIC_PATHS = new Set(['/health']);
+// Anything but these needs the admin role; share links and API tokens are read-only
+const READ_METHODS = new Set(['GET', 'HEAD']);
+
+function authEnabled() {
+  return !!AUTH_CONFIG.adminPassword || AUTH_CONFIG.apiTokens.length > 0;
+}
+
+// Compares digests so neither the length nor the content of a secret leaks through timing
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', AUTH_CONFIG.shareSecret).update(payload).digest('base64url');
+}
+
+// Share tokens are <base64url JSON claims>.<HMAC-SHA256 signature>; claims are { exp, label }
+function createShareToken({ label = '', ttlHours = AUTH_CONFIG.shareTtlHours } = {}, now = Date.now()) {
+  if (!AUTH_CONFIG.shareSecret) throw new Error('Share links need SHARE_LINK_SECRET or ADMIN_PASSWORD');
+  const expiresAt = new Date(now + ttlHours * HOUR_MS);
+  const payload = Buffer.from(JSON.stringify({ exp: expiresAt.getTime(), label })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, label, expiresAt: expiresAt.toISOString() };
+}
+
+// Claims of a valid, unexpired share token, or null
+function verifyShareToken(token, now = Date.now()) {
+  if (!AUTH_CONFIG.shareSecret || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 2 || !safeEqual(parts[1], sign(parts[0]))) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    return claims.exp > now ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  const match = String(req.get('cookie') || '').split(';').map((part) => part.trim()).find((part) => part.startsWith(`${name}=`));
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match.slice(name.length + 1));
+  } catch (err) {
+    return null;
+  }
+}
+
+function shareIdentity(claims) {
+  return {
+    role: 'read', via: 'share', name: claims.label || 'share link', expiresAt: new Date(claims.exp).toISOString(),
+  };
+}
+
+// Who is calling: { role: 'admin' | 'read', via, name } or null. Checked in order: the admin
+// password (Basic), an API or share token (Bearer), then a share link in ?share= or its cookie.
+function identify(req) {
+  const [scheme, credentials] = String(req.get('authorization') || '').split(' ');
+  if (/^basic$/i.test(scheme) && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (!AUTH_CONFIG.adminPassword || separator < 0) return null;
+    const user = decoded.slice(0, separator);
+    const passwordMatches = safeEqual(decoded.slice(separator + 1), AUTH_CONFIG.adminPassword);
+    return safeEqual(user, AUTH_CONFIG.adminUser) && passwordMatches ? { role: 'admin', via: 'password', name: user } : null;
+  }
+  if (/^bearer$/i.test(scheme) && credentials) {
+    const apiToken = AUTH_CONFIG.apiTokens.find((entry) => safeEqual(entry.token, credentials));
+    if (apiToken) return { role: 'read', via: 'token', name: apiToken.name };
+    const claims = verifyShareToken(credentials);
+    return claims ? shareIdentity(claims) : null;
+  }
+
+  const claims = verifyShareToken(req.query.share || readCookie(req, SHARE_COOKIE));
+  return claims ? shareIdentity(claims) : null;
+}
+
+// The socket address, not X-Forwarded-For, so a proxied request can't claim to be local
+function fromLoopback(req) {
+  const address = (req.socket && req.socket.remoteAddress) || '';
+  return address === '::1' || /^(::ffff:)?127\./.test(address);
+}
+
+const OPEN_ADMIN_ERROR = 'Admin access needs ADMIN_PASSWORD to be set, or a request from localhost';
+
+// Sets req.auth, or answers 401/403. Without configured credentials callers on this machine
+// are admin and everyone else may only read.
+function authenticate(req, res, next) {
+  if (!authEnabled()) {
+    const local = fromLoopback(req);
+    if (!local && !READ_METHODS.has(req.method)) {
+      res.status(403).json({ error: OPEN_ADMIN_ERROR });
+      return;
+    }
+    req.auth = { role: local ? 'admin' : 'read', via: 'open', name: 'anonymous' };
+    next();
+    return;
+  }
+  if (PUBLIC_PATHS.has(req.path)) {
+    next();
+    return;
+  }
+
+  const auth = identify(req);
+  if (!auth) {
+    if (AUTH_CONFIG.adminPassword) res.set('WWW-Authenticate', 'Basic realm="Cloudflare Analytics Display", charset="UTF-8"');
+    res.status(401).json({ error: 'Authentication required' });
+    return;
+  }
+  if (auth.role !== 'admin' && !READ_METHODS.has(req.method)) {
+    res.status(403).json({ error: 'Read-only access' });
+    return;
+  }
+
+  // A share link opened in a browser is kept as a cookie, so the page's API calls and stream carry it
+  if (auth.via === 'share' && req.query.share) {
+    res.cookie(SHARE_COOKIE, req.query.share, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      expires: new Date(auth.expiresAt),
+    });
+  }
+  req.auth = auth;
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (req.auth && req.auth.role === 'admin') {
+    next();
+    return;
+  }
+  res.status(403).json({ error: req.auth && req.auth.via === 'open' ? OPEN_ADMIN_ERROR : 'Admin access required' });
+}
+
+module.exports = {
+  authEnabled,
+  authenticate,
+  requireAdmin,
+  createShareToken,
+  verifyShareToken,
+};
@@ -1,14 +1,139 @@
 const axios = require('axios');
 const { CLOUDFLARE_CONFIG } = require('./config');
+const { log } = require('./logger');
 
-const cloudflareAPI = axios.create({
-  baseURL: CLOUDFLARE_CONFIG.baseURL,
-  headers: {
-    Authorization: `Bearer ${CLOUDFLARE_CONFIG.apiToken}`,
-    'Content-Type': 'application/json',
-  },
-  timeout: 10000,
-});
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
 
-module.exports = { cloudflareAPI };
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
+// Network failures, rate limiting and server errors are worth retrying; other 4xx are not
+function isTransient(error) {
+  if (error.response) {
+    const { status } = error.response;
+    return status === 429 || status >= 500;
+  }
+  return TRANSIENT_CODES.includes(error.code);
+}
+
+// Retry-After is either delta-seconds or an HTTP date; returns ms or null
+function parseRetryAfter(error) {
+  const header = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Circuit breaker: after `threshold` consecutive failed calls upstream calls are refused
+// until the cooldown passes, then a single trial call decides whether it closes again
+function createBreaker(threshold, cooldownMs) {
+  let failures = 0;
+  let openUntil = 0;
+  let trialInFlight = false;
+
+  return {
+    allow() {
+      if (Date.now() < openUntil) return false;
+      if (failures < threshold) return true;
+      if (trialInFlight) return false;
+      trialInFlight = true;
+      return true;
+    },
+    recordSuccess() {
+      failures = 0;
+      openUntil = 0;
+      trialInFlight = false;
+    },
+    recordFailure() {
+      failures += 1;
+      trialInFlight = false;
+      if (failures >= threshold) openUntil = Math.max(openUntil, Date.now() + cooldownMs);
+    },
+    // Opens immediately, e.g. when Cloudflare asks us to back off for longer than we'd wait inline
+    pause(ms) {
+      failures = Math.max(failures, threshold);
+      trialInFlight = false;
+      openUntil = Math.max(openUntil, Date.now() + ms);
+    },
+    getState() {
+      if (Date.now() < openUntil) return { state: 'open', failures, retryAt: new Date(openUntil).toISOString() };
+      return { state: failures >= threshold ? 'half-open' : 'closed', failures, retryAt: null };
+    },
+  };
+}
+
+function createClient(apiToken) {
+  const http = axios.create({
+    baseURL: CLOUDFLARE_CONFIG.baseURL,
+    headers: {
+      Authorization: `Bearer ${apiToken}`,
+      'Content-Type': 'application/json',
+    },
+    timeout: CLOUDFLARE_CONFIG.timeout,
+  });
+  const breaker = createBreaker(CLOUDFLARE_CONFIG.breakerThreshold, CLOUDFLARE_CONFIG.breakerCooldown);
+
+  async function request(config) {
+    if (!breaker.allow()) {
+      const { retryAt } = breaker.getState();
+      const error = new Error(`Cloudflare API circuit open${retryAt ? ` until ${retryAt}` : ''} after repeated failures`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        const response = await http.request(config);
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (!isTransient(error)) {
+          // The API answered, so it is reachable even if this request was rejected
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(error);
+        if (retryAfter !== null && retryAfter > CLOUDFLARE_CONFIG.maxRetryDelay) {
+          log('WARN', `Cloudflare API asked to retry after ${Math.round(retryAfter / 1000)}s - pausing upstream calls`);
+          breaker.pause(retryAfter);
+          throw error;
+        }
+        if (attempt >= CLOUDFLARE_CONFIG.retries) {
+          breaker.recordFailure();
+          throw error;
+        }
+
+        // Full jitter keeps zones that share a token from retrying in lockstep
+        const backoff = Math.random() * Math.min(CLOUDFLARE_CONFIG.maxRetryDelay, CLOUDFLARE_CONFIG.retryBaseDelay * 2 ** attempt);
+        const delay = retryAfter !== null ? retryAfter : backoff;
+        const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+        log('WARN', `Cloudflare API call failed (${reason}), retry ${attempt + 1}/${CLOUDFLARE_CONFIG.retries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    getBreakerState: () => breaker.getState(),
+  };
+}
+
+const cloudflareAPI = createClient(CLOUDFLARE_CONFIG.apiToken);
+
+// One client per distinct token so zones with their own token don't share auth headers
+const clientsByToken = new Map();
+
+function getZoneClient(zone) {
+  if (!zone || !zone.apiToken || zone.apiToken === CLOUDFLARE_CONFIG.apiToken) return cloudflareAPI;
+  if (!clientsByToken.has(zone.apiToken)) {
+    clientsByToken.set(zone.apiToken, createClient(zone.apiToken));
+  }
+  return clientsByToken.get(zone.apiToken);
+}
+
+module.exports = { cloudflareAPI, getZoneClient };
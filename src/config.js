@@ -1,31 +1,184 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { registerSecrets } = require('./logger');
 
 const PORT = process.env.PORT || 3001;
-const REFRESH_INTERVAL = parseInt(process.env.REFRESH_INTERVAL, 10) || 30;
-const THEME = process.env.THEME || 'dark';
 const DASH_VERSION = process.env.DASH_VERSION || '0.1.1';
 const SITE_URL = process.env.SITE_URL || '';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+// Settings saved from the /admin page; they override the environment values below
+const SETTINGS_FILE = process.env.SETTINGS_FILE || path.join(DATA_DIR, 'settings.json');
 
 const CLOUDFLARE_CONFIG = {
   zoneId: process.env.CLOUDFLARE_ZONE_ID,
   apiToken: process.env.CLOUDFLARE_API_TOKEN,
-  baseURL: 'https://api.cloudflare.com',
+  // Overridable so tests (or a proxy) can stand in for the Cloudflare API
+  baseURL: process.env.CLOUDFLARE_API_URL || 'https://api.cloudflare.com',
+  timeout: parseInt(process.env.CLOUDFLARE_TIMEOUT_MS, 10) || 10000,
+  // Retries for transient failures (network errors, 5xx, 429) with exponential backoff
+  retries: parseInt(process.env.CLOUDFLARE_RETRIES, 10) >= 0 ? parseInt(process.env.CLOUDFLARE_RETRIES, 10) : 3,
+  retryBaseDelay: parseInt(process.env.CLOUDFLARE_RETRY_BASE_MS, 10) || 500,
+  maxRetryDelay: parseInt(process.env.CLOUDFLARE_MAX_RETRY_MS, 10) || 30000,
+  // Consecutive failed calls that open the circuit breaker, and how long it stays open
+  breakerThreshold: parseInt(process.env.CLOUDFLARE_BREAKER_THRESHOLD, 10) || 5,
+  breakerCooldown: (parseInt(process.env.CLOUDFLARE_BREAKER_COOLDOWN, 10) || 60) * 1000,
 };
 
-if (!CLOUDFLARE_CONFIG.zoneId || !CLOUDFLARE_CONFIG.apiToken) {
-  console.error('Missing required environment variables: CLOUDFLARE_ZONE_ID, CLOUDFLARE_API_TOKEN');
+function normalizeZone(zone) {
+  return {
+    id: String(zone.id),
+    label: zone.label || String(zone.id),
+    siteUrl: zone.siteUrl || '',
+    apiToken: zone.apiToken || CLOUDFLARE_CONFIG.apiToken,
+    pricing: zone.pricing || null,
+  };
+}
+
+// CLOUDFLARE_ZONES holds a JSON array of zones for multi-site setups, e.g.
+// [{"id":"abc","label":"example.com","siteUrl":"https://example.com","apiToken":"..."}]
+// Without it, the single CLOUDFLARE_ZONE_ID/SITE_URL pair is used.
+function parseZones() {
+  if (!process.env.CLOUDFLARE_ZONES) {
+    if (!CLOUDFLARE_CONFIG.zoneId) return [];
+    return [normalizeZone({
+      id: CLOUDFLARE_CONFIG.zoneId,
+      label: process.env.ZONE_LABEL || SITE_URL.replace(/^https?:\/\//, '').replace(/\/.*$/, '') || CLOUDFLARE_CONFIG.zoneId,
+      siteUrl: SITE_URL,
+    })];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(process.env.CLOUDFLARE_ZONES);
+  } catch (err) {
+    console.error(`Invalid CLOUDFLARE_ZONES JSON: ${err.message}`);
+    process.exit(1);
+  }
+
+  return (Array.isArray(parsed) ? parsed : []).filter((zone) => zone && zone.id).map(normalizeZone);
+}
+
+function readSettingsFile() {
+  if (!fs.existsSync(SETTINGS_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8')) || {};
+  } catch (err) {
+    console.error(`Ignoring unreadable settings file ${SETTINGS_FILE}: ${err.message}`);
+    return {};
+  }
+}
+
+// Settings as the environment defines them, kept so saved overrides can be reset
+const ENV_SETTINGS = {
+  refreshInterval: parseInt(process.env.REFRESH_INTERVAL, 10) || 30,
+  theme: process.env.THEME || 'dark',
+  zoneRotateInterval: parseInt(process.env.ZONE_ROTATE_INTERVAL, 10) || 0,
+  defaultLayout: process.env.DEFAULT_LAYOUT || 'default',
+  zones: parseZones(),
+};
+
+// Live settings. The settings service changes these at runtime, so read them where they are
+// used instead of copying them at startup. ZONES is likewise updated in place.
+const { zones: savedZones, ...savedSettings } = readSettingsFile();
+const SETTINGS = {
+  refreshInterval: ENV_SETTINGS.refreshInterval,
+  theme: ENV_SETTINGS.theme,
+  zoneRotateInterval: ENV_SETTINGS.zoneRotateInterval,
+  defaultLayout: ENV_SETTINGS.defaultLayout,
+  ...savedSettings,
+};
+const ZONES = Array.isArray(savedZones) ? savedZones.map(normalizeZone) : ENV_SETTINGS.zones.map((zone) => ({ ...zone }));
+
+if (ZONES.length === 0 || ZONES.some((zone) => !zone.apiToken)) {
+  console.error('Missing required environment variables: CLOUDFLARE_ZONE_ID (or CLOUDFLARE_ZONES), CLOUDFLARE_API_TOKEN');
   process.exit(1);
 }
 
-const LOG_DIR = '/tmp';
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 90;
+const HISTORY_BACKFILL_DAYS = parseInt(process.env.HISTORY_BACKFILL_DAYS, 10) || 7;
+const ANOMALY_THRESHOLD = parseFloat(process.env.ANOMALY_THRESHOLD) || 3.5;
+const ANOMALY_BASELINE_DAYS = parseInt(process.env.ANOMALY_BASELINE_DAYS, 10) || 28;
+const ALERT_RULES_FILE = process.env.ALERT_RULES_FILE || path.join(__dirname, '..', 'alerts.json');
+const MONITORS_FILE = process.env.MONITORS_FILE || path.join(__dirname, '..', 'monitors.json');
+const MONITOR_RETENTION_HOURS = parseInt(process.env.MONITOR_RETENTION_HOURS, 10) || 168;
+const LAYOUTS_DIR = process.env.LAYOUTS_DIR || path.join(__dirname, '..', 'layouts');
+const REPORTS_FILE = process.env.REPORTS_FILE || path.join(__dirname, '..', 'reports.json');
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(DATA_DIR, 'reports');
+const REPORT_RETENTION_DAYS = parseInt(process.env.REPORT_RETENTION_DAYS, 10) || 90;
+
+// API_TOKENS is a comma list of name:token pairs; a bare token is named after its position
+function parseApiTokens(value) {
+  return String(value || '').split(',').map((entry) => entry.trim()).filter(Boolean).map((entry, index) => {
+    const separator = entry.indexOf(':');
+    return separator > 0
+      ? { name: entry.slice(0, separator), token: entry.slice(separator + 1) }
+      : { name: `token-${index + 1}`, token: entry };
+  });
+}
+
+// Optional access control. With neither ADMIN_PASSWORD nor API_TOKENS set everything stays open.
+const AUTH_CONFIG = {
+  adminUser: process.env.ADMIN_USER || 'admin',
+  adminPassword: process.env.ADMIN_PASSWORD || '',
+  apiTokens: parseApiTokens(process.env.API_TOKENS),
+  // Signs share links; defaults to the admin password, so changing either revokes existing links
+  shareSecret: process.env.SHARE_LINK_SECRET || process.env.ADMIN_PASSWORD || '',
+  shareTtlHours: parseInt(process.env.SHARE_LINK_TTL_HOURS, 10) || 168,
+};
+
+// Origins allowed to call the server from other sites; empty means same-origin only, * allows any
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// Non-negative number from the environment; unlike `|| fallback` an explicit 0 is kept
+function envAmount(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return value >= 0 ? value : fallback;
+}
+
+// Origin pricing for bandwidth cost estimates. Included quotas are per calendar month,
+// 0 means nothing is included. A zone's `pricing` in CLOUDFLARE_ZONES overrides any field.
+const COST_CONFIG = {
+  currency: process.env.COST_CURRENCY || 'USD',
+  egressPerGb: envAmount('COST_EGRESS_PER_GB', 0.09),
+  requestsPerMillion: envAmount('COST_REQUESTS_PER_MILLION', 0),
+  includedEgressGb: envAmount('COST_INCLUDED_EGRESS_GB', 0),
+  includedRequests: envAmount('COST_INCLUDED_REQUESTS', 0),
+};
+
+// Tokens and passwords never reach the logs; zones are read live since the settings page edits them
+registerSecrets(() => [
+  CLOUDFLARE_CONFIG.apiToken,
+  ...ZONES.map((zone) => zone.apiToken),
+  AUTH_CONFIG.adminPassword,
+  AUTH_CONFIG.shareSecret,
+  ...AUTH_CONFIG.apiTokens.map((entry) => entry.token),
+]);
 
 module.exports = {
   PORT,
-  REFRESH_INTERVAL,
-  THEME,
   DASH_VERSION,
   SITE_URL,
   CLOUDFLARE_CONFIG,
-  LOG_DIR,
+  ZONES,
+  SETTINGS,
+  ENV_SETTINGS,
+  SETTINGS_FILE,
+  normalizeZone,
+  readSettingsFile,
+  DATA_DIR,
+  HISTORY_RETENTION_DAYS,
+  HISTORY_BACKFILL_DAYS,
+  ANOMALY_THRESHOLD,
+  ANOMALY_BASELINE_DAYS,
+  ALERT_RULES_FILE,
+  MONITORS_FILE,
+  MONITOR_RETENTION_HOURS,
+  LAYOUTS_DIR,
+  REPORTS_FILE,
+  REPORTS_DIR,
+  REPORT_RETENTION_DAYS,
+  COST_CONFIG,
+  AUTH_CONFIG,
+  CORS_ORIGINS,
 };
-
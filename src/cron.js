@@ -0,0 +1,100 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) matched against
+// server local time. Supports *, lists, ranges and steps, e.g. "0 7 * * *" or "*/15 8-18 * * 1-5".
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day-of-week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const MINUTE_MS = 60 * 1000;
+// Leap-year month lengths, so "0 0 29 2 *" is accepted
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+// nextRun gives up after this long; a leap day can be eight years away (2096 to 2104)
+const SEARCH_LIMIT_MS = 8 * 366 * 24 * 60 * MINUTE_MS;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let from = min;
+    let to = max;
+    if (rangeText !== '*') {
+      const [start, end] = rangeText.split('-');
+      from = Number(start);
+      // "5/10" means from 5 to the end of the field in steps of 10
+      if (end !== undefined) to = Number(end);
+      else if (stepText === undefined) to = from;
+    }
+    if (![step, from, to].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expression}"`);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  const anyDayOfMonth = parts[2] === '*';
+  const anyDayOfWeek = parts[4] === '*';
+  // Only the day of month narrows the days when the day of week is left open; "31 2" never comes
+  const shortestDay = Math.min(...dayOfMonth);
+  if (!anyDayOfMonth && anyDayOfWeek && ![...month].some((value) => shortestDay <= MONTH_DAYS[value - 1])) {
+    throw new Error(`Cron expression never matches: "${expression}"`);
+  }
+  return {
+    expression: parts.join(' '),
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth,
+    anyDayOfWeek,
+  };
+}
+
+function dayMatches(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  // As in classic cron, restricting both day fields fires on either
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+function cronMatches(schedule, date) {
+  if (!schedule.minute.has(date.getMinutes()) || !schedule.hour.has(date.getHours())) return false;
+  return schedule.month.has(date.getMonth() + 1) && dayMatches(schedule, date);
+}
+
+// First matching minute strictly after `after`, or null. Skips whole months, days and hours
+// that can't match, so a search spanning years takes a few thousand steps.
+function nextRun(schedule, after = new Date()) {
+  // Truncated arithmetically: setSeconds() on a time repeated by a DST change picks the first one
+  const candidate = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+  while (candidate.getTime() <= limit) {
+    if (!schedule.month.has(candidate.getMonth() + 1)) {
+      candidate.setMonth(candidate.getMonth() + 1, 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(candidate.getMinutes())) {
+      candidate.setTime(candidate.getTime() + MINUTE_MS);
+    } else {
+      return new Date(candidate.getTime());
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, cronMatches, nextRun };
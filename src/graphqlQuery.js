@@ -0,0 +1,131 @@
+// Cloudflare GraphQL Analytics query builder and response validator.
+// Values (zone tag, time bounds) travel as GraphQL variables; only identifiers from the
+// dataset descriptors below and the caller's field selection are written into query text.
+
+// Typed descriptors for the zone datasets this service reads. `filterType` is the GraphQL
+// scalar of the time filter, `maxSpanMs` the widest window lower plans accept, if any.
+const DATASETS = {
+  httpRequests1mGroups: { dimension: 'datetimeMinute', filterField: 'datetimeMinute', filterType: 'Time' },
+  httpRequests1hGroups: { dimension: 'datetime', filterField: 'datetime', filterType: 'Time' },
+  httpRequests1dGroups: { dimension: 'date', filterField: 'date', filterType: 'Date' },
+  httpRequestsAdaptiveGroups: {
+    dimension: 'datetime', filterField: 'datetime', filterType: 'Time', maxSpanMs: 24 * 60 * 60 * 1000,
+  },
+  firewallEventsAdaptiveGroups: {
+    dimension: 'datetime', filterField: 'datetime', filterType: 'Time', maxSpanMs: 24 * 60 * 60 * 1000,
+  },
+};
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function assertIdentifier(value, what) {
+  if (!IDENTIFIER.test(value)) throw new Error(`Invalid GraphQL ${what}: ${value}`);
+  return value;
+}
+
+function formatBound(descriptor, date) {
+  const iso = new Date(date).toISOString();
+  return descriptor.filterType === 'Date' ? iso.slice(0, 10) : iso;
+}
+
+// Request body for one dataset of one zone. `dimensions` defaults to the dataset's time
+// dimension; `fields` is the selection next to it (sum { ... }, uniq { ... }, count).
+function buildDatasetQuery({
+  dataset, zoneTag, since, until, limit, fields, dimensions, orderBy,
+}) {
+  const descriptor = DATASETS[dataset];
+  if (!descriptor) throw new Error(`Unknown dataset: ${dataset}`);
+  const rows = parseInt(limit, 10);
+  if (!(rows > 0)) throw new Error(`Invalid limit for ${dataset}: ${limit}`);
+
+  const dimensionList = (dimensions || [descriptor.dimension]).map((name) => assertIdentifier(name, 'dimension'));
+  const order = assertIdentifier(orderBy || `${descriptor.dimension}_ASC`, 'orderBy');
+  const { filterField, filterType } = descriptor;
+
+  return {
+    query: `
+      query ${dataset}Query($zoneTag: string, $since: ${filterType}, $until: ${filterType}) {
+        viewer {
+          zones(filter: { zoneTag: $zoneTag }) {
+            ${dataset}(
+              limit: ${rows}
+              filter: { ${filterField}_geq: $since, ${filterField}_lt: $until }
+              orderBy: [${order}]
+            ) {
+              dimensions { ${dimensionList.join(' ')} }
+              ${fields}
+            }
+          }
+        }
+      }
+    `,
+    variables: {
+      zoneTag,
+      since: formatBound(descriptor, since),
+      until: formatBound(descriptor, until),
+    },
+  };
+}
+
+// GraphQL reports plan and permission problems as `errors` next to HTTP 200. Sorts them into
+// 'denied' (the plan or token may not read the dataset/field), 'limit' (window or quota too
+// large for the plan) or 'error'.
+function classifyGraphqlError(err) {
+  const code = err.extensions && err.extensions.code;
+  const message = err.message || '';
+  if (code === 'authz' || /does not have access|not authori[sz]ed|permission/i.test(message)) return 'denied';
+  if (code === 'quota' || /older than|time range|exceed|too (many|large)|quota|limit/i.test(message)) return 'limit';
+  return 'error';
+}
+
+function graphqlFailure(dataset, errors) {
+  const first = errors[0] || {};
+  const pathParts = Array.isArray(first.path) ? first.path.filter((part) => typeof part === 'string') : [];
+  return {
+    dataset,
+    kind: classifyGraphqlError(first),
+    field: pathParts.length > 0 ? pathParts[pathParts.length - 1] : dataset,
+    message: errors.map((err) => err.message).join('; '),
+  };
+}
+
+function queryError(failure) {
+  const error = new Error(`${failure.dataset} query failed (${failure.kind}): ${failure.message}`);
+  error.code = 'GRAPHQL_ERROR';
+  error.failure = failure;
+  return error;
+}
+
+// Returns the dataset's rows from a GraphQL response, or throws an error whose `failure`
+// describes what went wrong
+function readDataset(response, dataset) {
+  const body = response.data || {};
+  if (Array.isArray(body.errors) && body.errors.length > 0) {
+    throw queryError(graphqlFailure(dataset, body.errors));
+  }
+  const zones = body.data && body.data.viewer && body.data.viewer.zones;
+  if (!Array.isArray(zones)) {
+    throw queryError({ dataset, kind: 'error', field: dataset, message: 'Response has no viewer.zones' });
+  }
+  if (zones.length === 0) {
+    throw queryError({ dataset, kind: 'denied', field: 'zones', message: 'Zone is not visible to this API token' });
+  }
+  return zones[0][dataset] || [];
+}
+
+// Structured failure for any error thrown while querying a dataset, for snapshots and logs
+function describeFailure(error, dataset) {
+  if (error.failure) return error.failure;
+  if (error.code === 'CIRCUIT_OPEN') return { dataset, kind: 'unavailable', message: error.message };
+  if (error.response) {
+    return { dataset, kind: error.response.status === 429 ? 'limit' : 'error', status: error.response.status, message: `HTTP ${error.response.status}` };
+  }
+  return { dataset, kind: 'transport', message: error.message };
+}
+
+module.exports = {
+  DATASETS,
+  buildDatasetQuery,
+  readDataset,
+  describeFailure,
+};
@@ -1,18 +1,219 @@
 const fs = require('fs');
 const path = require('path');
-const { LOG_DIR } = require('./config');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 
-function log(level, message) {
-  const timestamp = new Date().toISOString();
-  const logEntry = `[${timestamp}] [${level}] ${message}`;
-  console.log(logEntry);
+const LEVELS = {
+  DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40,
+};
+const ROTATIONS = ['daily', 'hourly', 'off'];
+const REDACTED = '[REDACTED]';
+// Credentials that look the same wherever they are logged
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  [/([?&](?:share|token)=)[^&\s"]+/gi, `$1${REDACTED}`],
+];
+const REQUEST_ID_PATTERN = /^[a-zA-Z0-9._-]{1,64}$/;
 
-  try {
-    fs.appendFileSync(path.join(LOG_DIR, 'analytics.log'), `${logEntry}\n`);
-  } catch (err) {
-    console.error('Warning: Could not write to log file:', err.message);
+// Request id of the Express request whose handling is logging, if any
+const requestContext = new AsyncLocalStorage();
+// Functions returning secret values to mask in every log line (API tokens, passwords)
+const secretSources = [];
+
+function registerSecrets(source) {
+  secretSources.push(source);
+}
+
+function redact(text) {
+  let redacted = SECRET_PATTERNS.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), text);
+  secretSources.forEach((source) => {
+    // Very short values would mask ordinary words, so they are left alone
+    source().filter((secret) => typeof secret === 'string' && secret.length >= 8).forEach((secret) => {
+      redacted = redacted.split(secret).join(REDACTED);
+    });
+  });
+  return redacted;
+}
+
+function parseLevel(value) {
+  const level = String(value || 'info').toUpperCase();
+  return LEVELS[level] ? level : 'INFO';
+}
+
+function periodKey(date, rotation) {
+  if (rotation === 'daily') return date.toISOString().slice(0, 10);
+  if (rotation === 'hourly') return date.toISOString().slice(0, 13);
+  return '';
+}
+
+/**
+ * Appends lines to `file`, rotating it to file.1 ... file.<maxFiles> when it would grow past
+ * maxBytes or when the day (or hour) changes. Writes are buffered by a write stream.
+ */
+function createFileSink({
+  file, maxBytes, maxFiles, rotation,
+}) {
+  let stream = null;
+  let size = 0;
+  let period = '';
+  let failed = false;
+  let closed = false;
+
+  function open() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const existing = fs.existsSync(file) ? fs.statSync(file) : null;
+    size = existing ? existing.size : 0;
+    period = periodKey(existing ? existing.mtime : new Date(), rotation);
+    // Opened synchronously so the file exists (and can be rotated) before the first write lands
+    stream = fs.createWriteStream(file, { fd: fs.openSync(file, 'a') });
+    stream.on('error', (err) => {
+      console.error(`Warning: Could not write to log file ${file}: ${err.message}`);
+      failed = true;
+    });
+  }
+
+  function rotate() {
+    // The old stream keeps writing its buffered lines to the renamed file
+    stream.end();
+    for (let i = maxFiles - 1; i >= 1; i -= 1) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(file, `${file}.1`);
+    } else {
+      fs.unlinkSync(file);
+    }
+    open();
+  }
+
+  function write(line) {
+    if (failed || closed) return;
+    try {
+      if (!stream) open();
+      const bytes = Buffer.byteLength(line);
+      const due = period !== periodKey(new Date(), rotation) || (maxBytes > 0 && size > 0 && size + bytes > maxBytes);
+      if (due) rotate();
+      stream.write(line);
+      size += bytes;
+    } catch (err) {
+      console.error(`Warning: Could not write to log file ${file}: ${err.message}`);
+      failed = true;
+    }
+  }
+
+  function close(callback) {
+    closed = true;
+    if (stream) {
+      stream.end(callback);
+    } else {
+      callback();
+    }
+  }
+
+  return { write, close };
+}
+
+/**
+ * Leveled logger writing one line per entry to stdout and, unless file is empty, a rotated
+ * log file. Lines are JSON ({ time, level, msg, requestId, ...fields }) or, with format
+ * 'text', "[time] [LEVEL] msg key=value". Options default to the LOG_* environment variables.
+ */
+function createLogger({
+  file = process.env.LOG_FILE !== undefined ? process.env.LOG_FILE : '/tmp/analytics.log',
+  level = process.env.LOG_LEVEL,
+  format = process.env.LOG_FORMAT,
+  maxBytes = (parseFloat(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+  maxFiles = parseInt(process.env.LOG_MAX_FILES, 10) >= 0 ? parseInt(process.env.LOG_MAX_FILES, 10) : 5,
+  rotation = process.env.LOG_ROTATE,
+} = {}) {
+  const threshold = LEVELS[parseLevel(level)];
+  const asText = format === 'text';
+  const sink = file && file !== 'off' ? createFileSink({
+    file, maxBytes, maxFiles, rotation: ROTATIONS.includes(rotation) ? rotation : 'daily',
+  }) : null;
+
+  function log(entryLevel, message, fields = {}) {
+    const levelName = LEVELS[entryLevel] ? entryLevel : 'INFO';
+    if (LEVELS[levelName] < threshold) return;
+
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName.toLowerCase(),
+      msg: String(message),
+      ...(context ? { requestId: context.requestId } : {}),
+    };
+    // Caller fields can't overwrite the entry's own keys
+    Object.keys(fields).forEach((key) => {
+      if (!['time', 'level', 'msg', 'requestId'].includes(key)) entry[key] = fields[key];
+    });
+    const line = asText
+      ? `[${entry.time}] [${levelName}] ${entry.msg}${Object.keys(entry).slice(3).map((key) => ` ${key}=${JSON.stringify(entry[key])}`).join('')}`
+      : JSON.stringify(entry);
+    const redacted = `${redact(line)}\n`;
+
+    process.stdout.write(redacted);
+    if (sink) sink.write(redacted);
+  }
+
+  // Flushes the log file, e.g. before process.exit()
+  function close(callback) {
+    if (sink) {
+      sink.close(callback);
+    } else {
+      callback();
+    }
   }
+
+  return { log, close };
 }
 
-module.exports = { log };
+let defaultLogger = null;
+
+// The application logger; created on first use so .env has been loaded by then
+function log(level, message, fields) {
+  if (!defaultLogger) defaultLogger = createLogger();
+  defaultLogger.log(level, message, fields);
+}
+
+// Flushes the application log file. Exit from the callback, e.g. closeLog(() => process.exit(1)),
+// so the last lines - like the crash that caused the exit - reach the file.
+function closeLog(callback) {
+  if (defaultLogger) {
+    defaultLogger.close(callback);
+  } else {
+    callback();
+  }
+}
+
+/**
+ * Express middleware giving each request an id - the caller's X-Request-Id when it is
+ * reasonable, otherwise a new one - that is echoed back and attached to everything logged
+ * while handling it. Finished requests are logged at DEBUG. Mount it after the body parser,
+ * which would otherwise lose the request's context.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  // 'close' also fires for streams and requests the client gave up on
+  res.on('close', () => {
+    requestContext.run({ requestId: req.id }, () => {
+      log('DEBUG', `${req.method} ${req.path} ${res.statusCode}`, {
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      });
+    });
+  });
+  requestContext.run({ requestId: req.id }, next);
+}
 
+module.exports = {
+  log,
+  closeLog,
+  createLogger,
+  registerSecrets,
+  requestLogger,
+};
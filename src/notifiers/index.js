@@ -0,0 +1,18 @@
+const webhook = require('./webhook');
+const slack = require('./slack');
+const smtp = require('./smtp');
+const ntfy = require('./ntfy');
+
+// Channel type -> notifier. New channel types only need an entry here.
+const notifiers = {
+  webhook,
+  slack,
+  smtp,
+  ntfy,
+};
+
+function getNotifier(type) {
+  return notifiers[type] || null;
+}
+
+module.exports = { getNotifier };
@@ -0,0 +1,19 @@
+const axios = require('axios');
+
+// ntfy.sh (or self-hosted ntfy) topic publish; the message body is plain text
+async function send(channel, notification) {
+  const baseUrl = (channel.url || 'https://ntfy.sh').replace(/\/$/, '');
+  const headers = {
+    Title: notification.title,
+    Priority: notification.status === 'firing' && notification.severity === 'critical' ? 'urgent' : 'default',
+    Tags: notification.status === 'firing' ? 'rotating_light' : 'white_check_mark',
+  };
+  if (channel.token) headers.Authorization = `Bearer ${channel.token}`;
+
+  await axios.post(`${baseUrl}/${encodeURIComponent(channel.topic)}`, notification.message, {
+    headers,
+    timeout: 10000,
+  });
+}
+
+module.exports = { send };
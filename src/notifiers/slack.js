@@ -0,0 +1,20 @@
+const axios = require('axios');
+
+// Slack-compatible incoming webhook payload (also accepted by Mattermost, Rocket.Chat, Discord's /slack endpoint)
+async function send(channel, notification) {
+  const icon = notification.status === 'firing' ? ':rotating_light:' : ':white_check_mark:';
+  await axios.post(channel.url, {
+    text: `${icon} ${notification.title}`,
+    attachments: [{
+      color: notification.status === 'firing' ? 'danger' : 'good',
+      text: notification.message,
+      fields: [
+        { title: 'Zone', value: notification.zone.label, short: true },
+        { title: 'Severity', value: notification.severity, short: true },
+      ],
+      ts: Math.floor(new Date(notification.timestamp).getTime() / 1000),
+    }],
+  }, { timeout: 10000 });
+}
+
+module.exports = { send };
@@ -0,0 +1,39 @@
+const nodemailer = require('nodemailer');
+
+// One transport per channel id, reused across notifications
+const transports = new Map();
+
+function getTransport(channel) {
+  if (!transports.has(channel.id)) {
+    transports.set(channel.id, nodemailer.createTransport({
+      host: channel.host,
+      port: channel.port || 587,
+      secure: !!channel.secure,
+      auth: channel.user ? { user: channel.user, pass: channel.pass } : undefined,
+    }));
+  }
+  return transports.get(channel.id);
+}
+
+async function send(channel, notification) {
+  await getTransport(channel).sendMail({
+    from: channel.from,
+    to: channel.to,
+    subject: notification.title,
+    text: `${notification.message}\n\nZone: ${notification.zone.label}\nSeverity: ${notification.severity}\nTime: ${notification.timestamp}`,
+  });
+}
+
+// Scheduled report: the HTML as the message body, the PDF attached
+async function sendReport(channel, report) {
+  await getTransport(channel).sendMail({
+    from: channel.from,
+    to: channel.to,
+    subject: report.title,
+    text: report.text,
+    html: report.html,
+    attachments: [{ filename: report.files.pdf, content: report.pdf, contentType: 'application/pdf' }],
+  });
+}
+
+module.exports = { send, sendReport };
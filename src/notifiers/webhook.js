@@ -0,0 +1,24 @@
+const axios = require('axios');
+
+// Generic HTTP webhook: POSTs the notification object as JSON
+async function send(channel, notification) {
+  await axios.post(channel.url, notification, {
+    headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+    timeout: 10000,
+  });
+}
+
+// Scheduled report: the summary and download links, not the files themselves
+async function sendReport(channel, report) {
+  await axios.post(channel.url, {
+    title: report.title,
+    text: report.text,
+    ...report.meta,
+    urls: report.urls,
+  }, {
+    headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+    timeout: 10000,
+  });
+}
+
+module.exports = { send, sendReport };
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const { ALERT_RULES_FILE } = require('../config');
+const { log } = require('../logger');
+const { getNotifier } = require('../notifiers');
+const monitorService = require('./monitorService');
+
+const RECENT_LIMIT = 50;
+// Traffic rules run against 24h snapshots, whose buckets are hourly
+const BUCKET_MS = 60 * 60 * 1000;
+// Metrics read from the uptime checks rather than the analytics snapshot
+const AVAILABILITY_METRICS = ['siteStatus', 'monitors'];
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold,
+};
+
+let rules = [];
+let channels = {};
+
+// Per rule and zone: { rule, zone, state: 'pending' | 'firing', since, firedAt, value, notified }
+const ruleStates = new Map();
+// Last firing notification per rule and zone, for cooldowns
+const lastNotified = new Map();
+// Most recent firing/resolved transitions, newest first
+const recentAlerts = [];
+
+function loadRules() {
+  if (!fs.existsSync(ALERT_RULES_FILE)) {
+    log('INFO', `No alert rules file at ${ALERT_RULES_FILE} - alerting disabled`);
+    return;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(ALERT_RULES_FILE, 'utf8'));
+    channels = {};
+    (config.channels || []).forEach((channel) => {
+      if (!getNotifier(channel.type)) {
+        log('WARN', `Alert channel ${channel.id} has unknown type ${channel.type} - ignoring`);
+        return;
+      }
+      channels[channel.id] = channel;
+    });
+    rules = (config.rules || []).filter((rule) => {
+      if (!OPERATORS[rule.operator]) {
+        log('WARN', `Alert rule ${rule.id} has unknown operator ${rule.operator} - ignoring`);
+        return false;
+      }
+      return true;
+    }).map((rule) => ({
+      severity: 'warning',
+      for: 0,
+      cooldown: 300,
+      channels: [],
+      ...rule,
+      name: rule.name || rule.id,
+    }));
+    log('INFO', `Loaded ${rules.length} alert rule(s) and ${Object.keys(channels).length} channel(s)`);
+  } catch (err) {
+    log('ERROR', `Could not load alert rules from ${ALERT_RULES_FILE}: ${err.message}`);
+  }
+}
+
+function isAvailabilityRule(rule) {
+  return AVAILABILITY_METRICS.includes(String(rule.metric || '').split('.')[0]);
+}
+
+// Values rules can reference besides the snapshot itself: the newest completed bucket and
+// its error shares. The bucket still filling up would trip thresholds early in every hour, and
+// shares of the whole 24h would only move a day after an incident.
+function buildContext(snapshot, now) {
+  const completed = (snapshot.timeseries || []).filter((pt) => new Date(pt.datetime).getTime() + BUCKET_MS <= now);
+  const latest = completed.length > 0 ? completed[completed.length - 1] : {};
+  const requests = latest.requests || 0;
+  const status = latest.statusBuckets || {};
+  return {
+    ...snapshot,
+    latest,
+    rates: {
+      '4xx': requests > 0 ? (status['4xx'] || 0) / requests : 0,
+      '5xx': requests > 0 ? (status['5xx'] || 0) / requests : 0,
+    },
+  };
+}
+
+// The zone's site status and its monitor targets by id, straight from the uptime checks
+function buildAvailabilityContext(zone) {
+  const monitors = {};
+  monitorService.getSummaries().filter((summary) => summary.zone === zone.id).forEach((summary) => {
+    monitors[summary.id] = summary;
+  });
+  return { siteStatus: monitorService.getSiteStatus(zone.id), monitors };
+}
+
+// Resolves a dotted path such as "httpStatus.5xx" or "siteStatus.status"
+function resolveMetric(context, metric) {
+  return metric.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function notify(rule, zone, status, value, timestamp) {
+  const title = status === 'firing'
+    ? `[${rule.severity.toUpperCase()}] ${rule.name} (${zone.label})`
+    : `[RESOLVED] ${rule.name} (${zone.label})`;
+  const notification = {
+    status,
+    ruleId: rule.id,
+    title,
+    message: `${rule.metric} is ${value} (${rule.operator} ${rule.threshold})`,
+    severity: rule.severity,
+    zone,
+    value,
+    threshold: rule.threshold,
+    timestamp,
+  };
+
+  rule.channels.forEach((channelId) => {
+    const channel = channels[channelId];
+    if (!channel) {
+      log('WARN', `Alert rule ${rule.id} references unknown channel ${channelId}`);
+      return;
+    }
+    getNotifier(channel.type).send(channel, notification).catch((err) => {
+      log('ERROR', `Alert notification via ${channelId} failed: ${err.message}`);
+    });
+  });
+}
+
+function recordTransition(entry) {
+  recentAlerts.unshift(entry);
+  if (recentAlerts.length > RECENT_LIMIT) recentAlerts.length = RECENT_LIMIT;
+}
+
+function applyRules(selected, zone, context, now) {
+  selected.forEach((rule) => {
+    if (rule.zones && !rule.zones.includes(zone.id)) return;
+
+    const key = `${rule.id}:${zone.id}`;
+    const value = resolveMetric(context, rule.metric);
+    const matches = value !== undefined && OPERATORS[rule.operator](value, rule.threshold);
+    const current = ruleStates.get(key);
+
+    if (!matches) {
+      if (current && current.state === 'firing') {
+        const resolvedAt = new Date(now).toISOString();
+        log('INFO', `Alert resolved: ${rule.name} (${zone.label})`);
+        recordTransition({ ruleId: rule.id, name: rule.name, zone, state: 'resolved', value, at: resolvedAt });
+        // Nobody hears that an incident is over if the cooldown kept its start quiet
+        if (current.notified) notify(rule, zone, 'resolved', value, resolvedAt);
+      }
+      ruleStates.delete(key);
+      return;
+    }
+
+    const state = current || { rule, zone, state: 'pending', since: now };
+    state.value = value;
+    ruleStates.set(key, state);
+
+    if (state.state === 'pending' && now - state.since >= rule.for * 1000) {
+      state.state = 'firing';
+      state.firedAt = now;
+      const firedAt = new Date(now).toISOString();
+      log('WARN', `Alert firing: ${rule.name} (${zone.label}) - ${rule.metric} is ${value}`);
+      recordTransition({ ruleId: rule.id, name: rule.name, zone, state: 'firing', value, at: firedAt });
+
+      // Flapping within the cooldown still shows on the dashboard but doesn't re-notify
+      const previous = lastNotified.get(key);
+      if (!previous || now - previous >= rule.cooldown * 1000) {
+        lastNotified.set(key, now);
+        state.notified = true;
+        notify(rule, zone, 'firing', value, firedAt);
+      }
+    }
+  });
+}
+
+// Runs the traffic rules against a freshly processed snapshot for one zone
+function evaluate(zone, snapshot) {
+  const selected = rules.filter((rule) => !isAvailabilityRule(rule));
+  if (selected.length === 0) return;
+  const now = Date.now();
+  applyRules(selected, zone, buildContext(snapshot, now), now);
+}
+
+// Runs the siteStatus.* and monitors.* rules for one zone. They follow the uptime checks,
+// so they fire and resolve while Cloudflare API refreshes are failing too.
+function evaluateAvailability(zone) {
+  const selected = rules.filter(isAvailabilityRule);
+  if (selected.length === 0) return;
+  applyRules(selected, zone, buildAvailabilityContext(zone), Date.now());
+}
+
+function getActiveAlerts(zoneId) {
+  const active = [];
+  ruleStates.forEach((state) => {
+    if (state.state !== 'firing') return;
+    if (zoneId && state.zone.id !== zoneId) return;
+    const { rule } = state;
+    active.push({
+      ruleId: rule.id,
+      name: rule.name,
+      severity: rule.severity,
+      zone: state.zone,
+      metric: rule.metric,
+      value: state.value,
+      threshold: rule.threshold,
+      since: new Date(state.firedAt).toISOString(),
+    });
+  });
+  return active;
+}
+
+function getRecentAlerts(zoneId) {
+  return zoneId ? recentAlerts.filter((entry) => entry.zone.id === zoneId) : recentAlerts.slice();
+}
+
+function getRules() {
+  return rules.map((rule) => ({
+    id: rule.id,
+    name: rule.name,
+    metric: rule.metric,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    for: rule.for,
+    cooldown: rule.cooldown,
+    severity: rule.severity,
+    zones: rule.zones,
+  }));
+}
+
+module.exports = {
+  loadRules,
+  evaluate,
+  evaluateAvailability,
+  getActiveAlerts,
+  getRecentAlerts,
+  getRules,
+};
@@ -1,145 +1,382 @@
-const { cloudflareAPI } = require('../cloudflareClient');
-const { REFRESH_INTERVAL, SITE_URL } = require('../config');
+const { EventEmitter } = require('events');
+const { getZoneClient } = require('../cloudflareClient');
+const {
+  DATASETS, buildDatasetQuery, readDataset, describeFailure,
+} = require('../graphqlQuery');
+const { SETTINGS, ZONES, HISTORY_BACKFILL_DAYS } = require('../config');
 const { log } = require('../logger');
-const { checkSiteAvailability } = require('./availability');
+const monitorService = require('./monitorService');
+const historyStore = require('./historyStore');
+const metricsService = require('./metricsService');
+const { detectAnomalies, baselineSince } = require('./anomalyService');
+const { SECURITY_DATASET, buildSecurityRequests, summarizeSecurity } = require('./securityService');
+const { estimateCosts, monthStart } = require('./costService');
 
-// Simple in-memory cache
-const analyticsCache = {
-  data: null,
-  lastUpdated: null,
-  isUpdating: false,
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ranges selectable with ?range=. Each picks the dataset whose granularity fits the
+// window while keeping point counts and query spans inside free-tier limits.
+// cacheTtl (seconds) is how long a snapshot is reused before Cloudflare is asked again; never
+// less than the refresh interval (see cacheTtlMs), and longer for the slow-moving long ranges.
+const RANGES = {
+  '1h': {
+    timeseries: { dataset: 'httpRequests1mGroups', windowMs: HOUR_MS, limit: 60 },
+    geo: { dataset: 'httpRequests1mGroups', windowMs: HOUR_MS, limit: 60 },
+    cacheTtl: 30,
+  },
+  '24h': {
+    timeseries: { dataset: 'httpRequests1hGroups', windowMs: DAY_MS, limit: 24 },
+    // Countries roll up the last 3 days so small sites still get a meaningful list
+    geo: { dataset: 'httpRequests1hGroups', windowMs: 3 * DAY_MS, limit: 100 },
+    cacheTtl: 30,
+  },
+  '7d': {
+    timeseries: { dataset: 'httpRequests1hGroups', windowMs: 7 * DAY_MS, limit: 168 },
+    geo: { dataset: 'httpRequests1hGroups', windowMs: 7 * DAY_MS, limit: 168 },
+    cacheTtl: 300,
+  },
+  '30d': {
+    timeseries: { dataset: 'httpRequests1dGroups', windowMs: 30 * DAY_MS, limit: 30 },
+    geo: { dataset: 'httpRequests1dGroups', windowMs: 30 * DAY_MS, limit: 30 },
+    cacheTtl: 900,
+  },
 };
+const DEFAULT_RANGE = '24h';
+// A scheduled refresh fires a moment less than one interval after the fetch it follows; this
+// keeps it from finding that snapshot still fresh
+const FRESHNESS_SLACK_MS = 2000;
 
-async function fetchAnalyticsData() {
-  if (analyticsCache.isUpdating) return analyticsCache.data;
-  analyticsCache.isUpdating = true;
+// Simple in-memory cache, one entry per zone id and range
+const analyticsCache = {};
 
-  try {
-    const now = new Date();
-    const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-    log('INFO', 'Fetching analytics data from Cloudflare GraphQL API');
-
-    const timeseriesQuery = {
-      query: `
-        query {
-          viewer {
-            zones(filter: {zoneTag: "${process.env.CLOUDFLARE_ZONE_ID}"}) {
-              httpRequests1hGroups(
-                limit: 24
-                filter: { datetime_geq: "${since.toISOString()}", datetime_lt: "${now.toISOString()}" }
-                orderBy: [datetime_ASC]
-              ) {
-                dimensions { datetime }
-                sum {
-                  requests
-                  pageViews
-                  bytes
-                  threats
-                  cachedRequests
-                  cachedBytes
-                  responseStatusMap { edgeResponseStatus requests }
-                }
-                uniq { uniques }
-              }
-            }
-          }
-        }
-      `,
-    };
+// Month-to-date totals for cost projections move slowly, so each zone's are re-queried at most hourly
+const MONTH_TO_DATE_TTL = HOUR_MS;
+const monthToDateCache = {};
+
+// Emits 'update' (zoneId, range, data) whenever a zone's cache is refreshed
+const analyticsEvents = new EventEmitter();
+
+function getZone(zoneId) {
+  if (!zoneId) return ZONES[0];
+  return ZONES.find((zone) => zone.id === zoneId) || null;
+}
+
+function getRange(rangeKey) {
+  if (!rangeKey) return DEFAULT_RANGE;
+  return RANGES[rangeKey] ? rangeKey : null;
+}
+
+function getZoneCache(zoneId, rangeKey = DEFAULT_RANGE) {
+  const key = `${zoneId}:${rangeKey}`;
+  if (!analyticsCache[key]) {
+    analyticsCache[key] = { data: null, lastUpdated: null, isUpdating: false };
+  }
+  return analyticsCache[key];
+}
+
+// How long a range's snapshot is served from the cache. Reads between scheduled refreshes
+// (the API, exports, reports) then never call Cloudflare themselves.
+function cacheTtlMs(rangeKey) {
+  return Math.max(RANGES[rangeKey].cacheTtl, SETTINGS.refreshInterval) * 1000 - FRESHNESS_SLACK_MS;
+}
+
+// Whether a range's snapshot is recent enough to serve without asking Cloudflare
+function isCacheFresh(zoneId, rangeKey) {
+  const zoneCache = getZoneCache(zoneId, rangeKey);
+  return !!(RANGES[rangeKey] && zoneCache.data && !zoneCache.data.stale
+    && Date.now() - zoneCache.lastUpdated.getTime() < cacheTtlMs(rangeKey));
+}
+
+// Daily groups filter on whole dates, so their window is aligned to UTC midnights
+// and runs through the end of today
+function queryWindow({ dataset, windowMs }, now) {
+  if (DATASETS[dataset].filterField === 'date') {
+    const tomorrow = Math.floor(now.getTime() / DAY_MS) * DAY_MS + DAY_MS;
+    return { since: new Date(tomorrow - windowMs), until: new Date(tomorrow) };
+  }
+  return { since: new Date(now.getTime() - windowMs), until: now };
+}
+
+const TIMESERIES_FIELDS = `
+  sum {
+    requests
+    pageViews
+    bytes
+    threats
+    cachedRequests
+    cachedBytes
+    responseStatusMap { edgeResponseStatus requests }
+  }
+  uniq { uniques }
+`;
+
+const GEO_FIELDS = 'sum { countryMap { clientCountryName requests bytes } }';
+const ADAPTIVE_FIELDS = 'count sum { edgeResponseBytes }';
+const MONTH_FIELDS = 'sum { requests bytes cachedRequests cachedBytes }';
+
+// Snapshot panels backed by their own query, with the name used in logs and upstream error metrics
+const PANELS = {
+  timeseries: 'Timeseries',
+  geographic: 'Geographic',
+  topPaths: 'Top paths',
+  cacheBreakdown: 'Cache status',
+  previousTotals: 'Previous period',
+  security: 'Security events',
+  costs: 'Month to date',
+};
+
+function bucketDatetime(dimensions) {
+  if (dimensions.date) return new Date(`${dimensions.date}T00:00:00Z`).toISOString();
+  return dimensions.datetime || dimensions.datetimeMinute;
+}
+
+// Flattens one httpRequests1*Groups entry into the raw point shape that is also persisted
+function toTimeseriesPoint(item) {
+  const statusBuckets = { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0 };
+  (item.sum.responseStatusMap || []).forEach((record) => {
+    const code = record.edgeResponseStatus || record.httpStatusCode;
+    const value = record.requests || 0;
+    if (code >= 200 && code < 300) statusBuckets['2xx'] += value;
+    else if (code >= 300 && code < 400) statusBuckets['3xx'] += value;
+    else if (code >= 400 && code < 500) statusBuckets['4xx'] += value;
+    else if (code >= 500 && code < 600) statusBuckets['5xx'] += value;
+  });
+
+  return {
+    datetime: bucketDatetime(item.dimensions),
+    requests: item.sum.requests || 0,
+    pageviews: item.sum.pageViews || 0,
+    bytes: item.sum.bytes || 0,
+    threats: item.sum.threats || 0,
+    uniques: item.uniq.uniques || 0,
+    cachedRequests: item.sum.cachedRequests || 0,
+    cachedBytes: item.sum.cachedBytes || 0,
+    statusBuckets,
+  };
+}
 
-    const threeDaysAgo = new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000);
-    const geoQuery = {
-      query: `
-        query {
-          viewer {
-            zones(filter: {zoneTag: "${process.env.CLOUDFLARE_ZONE_ID}"}) {
-              httpRequests1hGroups(
-                limit: 100
-                filter: { datetime_geq: "${threeDaysAgo.toISOString()}", datetime_lt: "${now.toISOString()}" }
-                orderBy: [datetime_ASC]
-              ) {
-                dimensions { datetime }
-                sum { countryMap { clientCountryName requests bytes } }
-              }
-            }
-          }
-        }
-      `,
+// Adds the pageview fallback and per-point cache fields to raw points
+function deriveTimeseries(points) {
+  let timeseries = points;
+
+  const allPageviewsZero = timeseries.length > 0 && timeseries.every((pt) => (pt.pageviews || 0) === 0);
+  if (allPageviewsZero) {
+    timeseries = timeseries.map((pt) => ({ ...pt, pageviews: Math.round((pt.requests || 0) * 0.8) }));
+  }
+
+  return timeseries.map((pt) => {
+    const cacheRatioPoint = pt.requests > 0 ? (pt.cachedRequests || 0) / pt.requests : 0;
+    const cachedPageviews = Math.round((pt.pageviews || 0) * cacheRatioPoint);
+    const uncachedRequests = Math.max((pt.requests || 0) - (pt.cachedRequests || 0), 0);
+    return {
+      ...pt,
+      cacheRatio: cacheRatioPoint,
+      cachedPageviews,
+      uncachedRequests,
     };
+  });
+}
 
-    const timeseriesResponse = await cloudflareAPI.post('/client/v4/graphql', timeseriesQuery);
+function summarizeTotals(timeseries) {
+  return timeseries.reduce(
+    (acc, pt) => {
+      acc.requests += pt.requests || 0;
+      acc.pageviews += pt.pageviews || 0;
+      acc.bytes += pt.bytes || 0;
+      acc.threats += pt.threats || 0;
+      acc.uniques += pt.uniques || 0;
+      acc.cachedRequests += pt.cachedRequests || 0;
+      acc.cachedBytes += pt.cachedBytes || 0;
+      return acc;
+    },
+    { requests: 0, pageviews: 0, bytes: 0, threats: 0, uniques: 0, cachedRequests: 0, cachedBytes: 0 },
+  );
+}
 
-    let geoResponse;
-    try {
-      geoResponse = await cloudflareAPI.post('/client/v4/graphql', geoQuery);
-      log('DEBUG', `Geographic response: ${JSON.stringify(geoResponse.data, null, 2)}`);
-    } catch (geoError) {
-      log('WARN', `Geographic query failed: ${geoError.message}`);
-      geoResponse = { data: { data: { viewer: { zones: [{ httpRequests1hGroups: [] }] } } } };
+// Lines the previous period up with the current buckets so charts can overlay it point by point
+function alignPrevious(timeseries, previous, windowMs) {
+  const byShiftedTime = new Map(previous.map((pt) => [new Date(pt.datetime).getTime() + windowMs, pt]));
+  return timeseries.map((pt) => byShiftedTime.get(new Date(pt.datetime).getTime()) || null);
+}
+
+// Only hours that have fully elapsed are persisted; the current hour is still filling up
+function completedPoints(points, now) {
+  return points.filter((pt) => new Date(pt.datetime).getTime() + HOUR_MS <= now.getTime());
+}
+
+async function queryDataset(cloudflareAPI, request, dataset) {
+  const response = await cloudflareAPI.post('/client/v4/graphql', request);
+  log('DEBUG', `${dataset} query answered`, {
+    dataset,
+    status: response.status,
+    errors: response.data && Array.isArray(response.data.errors) ? response.data.errors.length : 0,
+  });
+  return readDataset(response, dataset);
+}
+
+// Runs the query behind an optional panel. A failure - including plan or permission errors,
+// which GraphQL reports in `errors` with HTTP 200 - leaves the panel empty and is recorded
+// in panelErrors so displays can say why.
+async function fetchPanel(cloudflareAPI, zoneId, panel, request, dataset, panelErrors) {
+  try {
+    return await queryDataset(cloudflareAPI, request, dataset);
+  } catch (error) {
+    const failure = describeFailure(error, dataset);
+    log('WARN', `${PANELS[panel]} query failed (${failure.kind}): ${failure.message}`);
+    metricsService.recordUpstreamError(zoneId, PANELS[panel]);
+    panelErrors[panel] = failure;
+    return [];
+  }
+}
+
+// Raw points for the equivalent window just before `since`, for period-over-period deltas, or
+// null when the query failed - a failed comparison must not look like a period without traffic.
+// Hourly ranges read it from the history store when every hour is there, saving an upstream call.
+async function fetchPreviousPoints(cloudflareAPI, zone, range, since, panelErrors) {
+  const { dataset, windowMs, limit } = range.timeseries;
+  const previousSince = new Date(since.getTime() - windowMs);
+  if (dataset === 'httpRequests1hGroups') {
+    const firstHour = new Date(Math.ceil(previousSince.getTime() / HOUR_MS) * HOUR_MS);
+    if (historyStore.getMissingHours(zone.id, firstHour, since).length === 0) {
+      return historyStore.getHistory(zone.id, firstHour, since);
     }
+  }
+  const request = buildDatasetQuery({
+    dataset, zoneTag: zone.id, since: previousSince, until: since, limit, fields: TIMESERIES_FIELDS,
+  });
+  const groups = await fetchPanel(cloudflareAPI, zone.id, 'previousTotals', request, dataset, panelErrors);
+  return panelErrors.previousTotals ? null : groups.map(toTimeseriesPoint);
+}
 
-    log('DEBUG', `Timeseries response: ${JSON.stringify(timeseriesResponse.data, null, 2)}`);
-
-    const timeseriesData = timeseriesResponse.data.data?.viewer?.zones?.[0]?.httpRequests1hGroups || [];
-    const geoData = geoResponse.data.data?.viewer?.zones?.[0]?.httpRequests1hGroups || [];
-
-    const totals = timeseriesData.reduce(
-      (acc, item) => {
-        acc.requests += item.sum.requests || 0;
-        acc.pageviews += item.sum.pageViews || 0;
-        acc.bytes += item.sum.bytes || 0;
-        acc.threats += item.sum.threats || 0;
-        acc.uniques += item.uniq.uniques || 0;
-        acc.cachedRequests += item.sum.cachedRequests || 0;
-        acc.cachedBytes += item.sum.cachedBytes || 0;
-        return acc;
-      },
-      { requests: 0, pageviews: 0, bytes: 0, threats: 0, uniques: 0, cachedRequests: 0, cachedBytes: 0 },
-    );
-
-    let timeseries = timeseriesData.map((item) => {
-      const requests = item.sum.requests || 0;
-      const statusBuckets = { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0 };
-      (item.sum.responseStatusMap || []).forEach((record) => {
-        const code = record.edgeResponseStatus || record.httpStatusCode;
-        const value = record.requests || 0;
-        if (code >= 200 && code < 300) statusBuckets['2xx'] += value;
-        else if (code >= 300 && code < 400) statusBuckets['3xx'] += value;
-        else if (code >= 400 && code < 500) statusBuckets['4xx'] += value;
-        else if (code >= 500 && code < 600) statusBuckets['5xx'] += value;
-      });
+// Traffic totals since the start of the UTC month, from daily groups. A failed query falls back
+// to the last totals fetched for the same month.
+async function fetchMonthToDate(cloudflareAPI, zone, now, panelErrors) {
+  const since = monthStart(now);
+  const cached = monthToDateCache[zone.id];
+  const sameMonth = cached && cached.since === since.getTime();
+  if (sameMonth && now.getTime() - cached.fetchedAt < MONTH_TO_DATE_TTL) return cached.totals;
 
-      return {
-        datetime: item.dimensions.datetime,
-        requests,
-        pageviews: item.sum.pageViews || 0,
-        bytes: item.sum.bytes || 0,
-        threats: item.sum.threats || 0,
-        uniques: item.uniq.uniques || 0,
-        cachedRequests: item.sum.cachedRequests || 0,
-        cachedBytes: item.sum.cachedBytes || 0,
-        statusBuckets,
-      };
+  const request = buildDatasetQuery({
+    dataset: 'httpRequests1dGroups',
+    zoneTag: zone.id,
+    since,
+    until: new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS + DAY_MS),
+    limit: 31,
+    fields: MONTH_FIELDS,
+  });
+  const groups = await fetchPanel(cloudflareAPI, zone.id, 'costs', request, 'httpRequests1dGroups', panelErrors);
+  if (panelErrors.costs) return sameMonth ? cached.totals : null;
+
+  const totals = groups.reduce((acc, item) => {
+    acc.requests += item.sum.requests || 0;
+    acc.bytes += item.sum.bytes || 0;
+    acc.cachedRequests += item.sum.cachedRequests || 0;
+    acc.cachedBytes += item.sum.cachedBytes || 0;
+    return acc;
+  }, {
+    requests: 0, bytes: 0, cachedRequests: 0, cachedBytes: 0,
+  });
+  monthToDateCache[zone.id] = { since: since.getTime(), fetchedAt: now.getTime(), totals };
+  return totals;
+}
+
+async function fetchAnalyticsData(zoneId, rangeKey = DEFAULT_RANGE) {
+  const zone = getZone(zoneId);
+  if (!zone) throw new Error(`Unknown zone: ${zoneId}`);
+  const range = RANGES[rangeKey];
+  if (!range) throw new Error(`Unknown range: ${rangeKey}`);
+
+  const zoneCache = getZoneCache(zone.id, rangeKey);
+  if (zoneCache.isUpdating || isCacheFresh(zone.id, rangeKey)) return zoneCache.data;
+  zoneCache.isUpdating = true;
+  const startedAt = Date.now();
+
+  try {
+    const now = new Date();
+    const { since, until } = queryWindow(range.timeseries, now);
+    const geoWindow = queryWindow(range.geo, now);
+    // Adaptive datasets only allow a one-day span on lower plans
+    const adaptiveSince = new Date(Math.max(since.getTime(), now.getTime() - DATASETS.httpRequestsAdaptiveGroups.maxSpanMs));
+    const cloudflareAPI = getZoneClient(zone);
+
+    log('INFO', `Fetching ${rangeKey} analytics data from Cloudflare GraphQL API for ${zone.label}`);
+
+    const timeseriesRequest = buildDatasetQuery({
+      dataset: range.timeseries.dataset,
+      zoneTag: zone.id,
+      since,
+      until,
+      limit: range.timeseries.limit,
+      fields: TIMESERIES_FIELDS,
+    });
+    const geoRequest = buildDatasetQuery({
+      dataset: range.geo.dataset,
+      zoneTag: zone.id,
+      since: geoWindow.since,
+      until: geoWindow.until,
+      limit: range.geo.limit,
+      fields: GEO_FIELDS,
+    });
+    const adaptive = {
+      dataset: 'httpRequestsAdaptiveGroups', zoneTag: zone.id, since: adaptiveSince, until: now, orderBy: 'count_DESC',
+    };
+    const topPathsRequest = buildDatasetQuery({
+      ...adaptive, limit: 10, dimensions: ['clientRequestPath'], fields: ADAPTIVE_FIELDS,
+    });
+    const cacheStatusRequest = buildDatasetQuery({
+      ...adaptive, limit: 20, dimensions: ['cacheStatus'], fields: ADAPTIVE_FIELDS,
     });
 
-    const allPageviewsZero = timeseries.length > 0 && timeseries.every((pt) => (pt.pageviews || 0) === 0);
-    if (allPageviewsZero) {
-      timeseries = timeseries.map((pt) => ({ ...pt, pageviews: Math.round((pt.requests || 0) * 0.8) }));
-      totals.pageviews = timeseries.reduce((sum, pt) => sum + (pt.pageviews || 0), 0);
+    // The timeseries drives every chart and total, so it is the one query that fails the refresh
+    let timeseriesData;
+    try {
+      timeseriesData = await queryDataset(cloudflareAPI, timeseriesRequest, range.timeseries.dataset);
+    } catch (timeseriesError) {
+      metricsService.recordUpstreamError(zone.id, PANELS.timeseries);
+      throw timeseriesError;
     }
 
-    timeseries = timeseries.map((pt) => {
-      const cacheRatioPoint = pt.requests > 0 ? (pt.cachedRequests || 0) / pt.requests : 0;
-      const cachedPageviews = Math.round((pt.pageviews || 0) * cacheRatioPoint);
-      const uncachedRequests = Math.max((pt.requests || 0) - (pt.cachedRequests || 0), 0);
-      return {
-        ...pt,
-        cacheRatio: cacheRatioPoint,
-        cachedPageviews,
-        uncachedRequests,
-      };
-    });
+    // The other panels don't depend on each other, so they are queried side by side
+    const panelErrors = {};
+    // Firewall events share the adaptive datasets' one-day span
+    const securityRequests = buildSecurityRequests(zone.id, rangeKey, adaptiveSince, now);
+    const fetchSecurity = async () => {
+      const timeline = await fetchPanel(
+        cloudflareAPI, zone.id, 'security', securityRequests.timeline, SECURITY_DATASET, panelErrors,
+      );
+      const events = panelErrors.security ? [] : await fetchPanel(
+        cloudflareAPI, zone.id, 'security', securityRequests.events, SECURITY_DATASET, panelErrors,
+      );
+      return [timeline, events];
+    };
+    const [
+      geoData, pathGroups, cacheStatusGroups, previousPoints, [securityTimeline, securityEvents], monthTotals,
+    ] = await Promise.all([
+      fetchPanel(cloudflareAPI, zone.id, 'geographic', geoRequest, range.geo.dataset, panelErrors),
+      fetchPanel(cloudflareAPI, zone.id, 'topPaths', topPathsRequest, adaptive.dataset, panelErrors),
+      fetchPanel(cloudflareAPI, zone.id, 'cacheBreakdown', cacheStatusRequest, adaptive.dataset, panelErrors),
+      fetchPreviousPoints(cloudflareAPI, zone, range, since, panelErrors),
+      fetchSecurity(),
+      fetchMonthToDate(cloudflareAPI, zone, now, panelErrors),
+    ]);
+
+    const rawPoints = timeseriesData.map(toTimeseriesPoint);
+    const isHourly = range.timeseries.dataset === 'httpRequests1hGroups';
+    if (isHourly) {
+      historyStore.upsertBuckets(zone.id, completedPoints(rawPoints, now));
+    }
+
+    const timeseries = deriveTimeseries(rawPoints);
+    const totals = summarizeTotals(timeseries);
+    const previousSeries = previousPoints ? deriveTimeseries(previousPoints) : null;
+    const previousTotals = previousSeries ? summarizeTotals(previousSeries) : null;
+
+    // Hour-of-day baselines only make sense for hourly buckets. The current hour is still
+    // filling up, so scoring it against full hours would flag a drop for most of every hour.
+    const anomalies = isHourly
+      ? detectAnomalies(completedPoints(timeseries, now), historyStore.getHistory(zone.id, baselineSince(now), now))
+      : [];
 
     const httpStatusAgg = { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0 };
     timeseries.forEach((pt) => {
@@ -165,18 +402,45 @@ async function fetchAnalyticsData() {
       .sort((a, b) => b.requests - a.requests)
       .slice(0, 10);
 
+    const topPaths = pathGroups.map((item) => ({
+      path: item.dimensions.clientRequestPath,
+      requests: item.count || 0,
+      bytes: item.sum.edgeResponseBytes || 0,
+    }));
+
+    const cacheBreakdown = {};
+    cacheStatusGroups.forEach((item) => {
+      const status = item.dimensions.cacheStatus || 'unknown';
+      const entry = cacheBreakdown[status] || { requests: 0, bytes: 0 };
+      entry.requests += item.count || 0;
+      entry.bytes += item.sum.edgeResponseBytes || 0;
+      cacheBreakdown[status] = entry;
+    });
+
     const httpStatus = httpStatusAgg;
     const cacheRatio = totals.requests > 0 ? totals.cachedRequests / totals.requests : 0;
     const estCachedPageviews = Math.round((totals.pageviews || 0) * cacheRatio);
     const estCachedUniques = Math.round((totals.uniques || 0) * cacheRatio);
 
-    const siteStatus = await checkSiteAvailability(SITE_URL);
+    const siteStatus = monitorService.getSiteStatus(zone.id);
 
     const processedData = {
+      zone: { id: zone.id, label: zone.label },
+      range: rangeKey,
       timeseries,
       totals,
+      previousTotals,
+      previousTimeseries: previousSeries ? alignPrevious(timeseries, previousSeries, range.timeseries.windowMs) : null,
       geographic,
+      topPaths,
+      cacheBreakdown,
+      // Top paths, cache statuses and firewall events come from adaptive datasets, which cover
+      // at most the last day whatever the range
+      adaptiveWindow: { since: adaptiveSince.toISOString(), until: now.toISOString() },
+      costs: estimateCosts(zone, totals, monthTotals, now),
+      security: panelErrors.security ? null : summarizeSecurity(securityTimeline, securityEvents, rangeKey, adaptiveSince, now),
       httpStatus,
+      anomalies,
       httpStatusSeries: timeseries.map((pt) => ({
         datetime: pt.datetime,
         ...pt.statusBuckets,
@@ -189,39 +453,120 @@ async function fetchAnalyticsData() {
         estCachedUniques,
       },
       siteStatus,
+      panelErrors,
+      stale: false,
       lastUpdated: now.toISOString(),
-      refreshInterval: REFRESH_INTERVAL,
+      refreshInterval: SETTINGS.refreshInterval,
     };
 
-    analyticsCache.data = processedData;
-    analyticsCache.lastUpdated = now;
+    zoneCache.data = processedData;
+    zoneCache.lastUpdated = now;
+    metricsService.recordRefresh(zone.id, true, Date.now() - startedAt);
+    analyticsEvents.emit('update', zone.id, rangeKey, processedData);
 
-    log('INFO', `Analytics data updated successfully. Next update in ${REFRESH_INTERVAL} seconds`);
+    log('INFO', `Analytics data updated successfully for ${zone.label}. Next update in ${SETTINGS.refreshInterval} seconds`);
     return processedData;
   } catch (error) {
-    log('ERROR', `Failed to fetch analytics data: ${error.message}`);
+    log('ERROR', `Failed to fetch analytics data for ${zone.label}: ${error.message}`);
+    metricsService.recordRefresh(zone.id, false, Date.now() - startedAt);
     if (error.response) {
       log('ERROR', `API Response: ${JSON.stringify(error.response.data)}`);
     }
-    if (analyticsCache.data) {
+    if (zoneCache.data) {
       log('WARN', 'Returning cached analytics data due to API error');
-      return analyticsCache.data;
+      // Keep serving the last good snapshot, flagged so displays can show it is outdated
+      zoneCache.data = {
+        ...zoneCache.data,
+        stale: true,
+        staleReason: error.message,
+        panelErrors: { ...zoneCache.data.panelErrors, timeseries: describeFailure(error, range.timeseries.dataset) },
+      };
+      analyticsEvents.emit('update', zone.id, rangeKey, zoneCache.data);
+      return zoneCache.data;
     }
     return {
+      zone: { id: zone.id, label: zone.label },
+      range: rangeKey,
       timeseries: [],
       totals: { requests: 0, pageviews: 0, bytes: 0, threats: 0, uniques: 0 },
+      previousTotals: null,
+      previousTimeseries: [],
       geographic: [],
+      topPaths: [],
+      cacheBreakdown: {},
+      costs: null,
+      security: null,
       httpStatus: [],
+      anomalies: [],
+      panelErrors: { timeseries: describeFailure(error, range.timeseries.dataset) },
       lastUpdated: new Date().toISOString(),
-      refreshInterval: REFRESH_INTERVAL,
+      refreshInterval: SETTINGS.refreshInterval,
       error: 'Failed to fetch data from Cloudflare GraphQL API',
     };
   } finally {
-    analyticsCache.isUpdating = false;
+    zoneCache.isUpdating = false;
   }
 }
 
+// Fills hours missing from the history store, one day-sized query per window with gaps.
+// Hours Cloudflare has no groups for are stored as zero buckets so they aren't re-queried.
+async function backfillHistory(zoneId) {
+  const zone = getZone(zoneId);
+  if (!zone) throw new Error(`Unknown zone: ${zoneId}`);
+
+  historyStore.pruneHistory(zone.id);
+
+  const cloudflareAPI = getZoneClient(zone);
+  const until = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+  const since = new Date(until.getTime() - HISTORY_BACKFILL_DAYS * DAY_MS);
+  const missing = new Set(historyStore.getMissingHours(zone.id, since, until));
+  if (missing.size === 0) return 0;
+
+  log('INFO', `Backfilling ${missing.size} missing hour(s) of history for ${zone.label}`);
+
+  let written = 0;
+  for (let start = since.getTime(); start < until.getTime(); start += DAY_MS) {
+    const windowStart = new Date(start);
+    const windowEnd = new Date(Math.min(start + DAY_MS, until.getTime()));
+    const windowHours = historyStore.getMissingHours(zone.id, windowStart, windowEnd).filter((hour) => missing.has(hour));
+    if (windowHours.length === 0) continue;
+
+    try {
+      const request = buildDatasetQuery({
+        dataset: 'httpRequests1hGroups', zoneTag: zone.id, since: windowStart, until: windowEnd, limit: 24, fields: TIMESERIES_FIELDS,
+      });
+      const groups = await queryDataset(cloudflareAPI, request, 'httpRequests1hGroups');
+      const points = groups.map(toTimeseriesPoint);
+      const returned = new Set(points.map((pt) => new Date(pt.datetime).toISOString()));
+      windowHours.forEach((hour) => {
+        if (!returned.has(hour)) points.push(toTimeseriesPoint({ dimensions: { datetime: hour }, sum: {}, uniq: {} }));
+      });
+      written += historyStore.upsertBuckets(zone.id, points);
+    } catch (error) {
+      log('WARN', `History backfill for ${zone.label} from ${windowStart.toISOString()} failed: ${error.message}`);
+      metricsService.recordUpstreamError(zone.id, 'History backfill');
+    }
+  }
+
+  log('INFO', `Backfilled ${written} hour(s) of history for ${zone.label}`);
+  return written;
+}
+
+function getHistoricalTimeseries(zoneId, since, until) {
+  return deriveTimeseries(historyStore.getHistory(zoneId, since, until));
+}
+
 module.exports = {
   fetchAnalyticsData,
+  backfillHistory,
+  getHistoricalTimeseries,
   analyticsCache,
+  analyticsEvents,
+  getZone,
+  getRange,
+  getZoneCache,
+  isCacheFresh,
+  cacheTtlMs,
+  RANGES,
+  DEFAULT_RANGE,
 };
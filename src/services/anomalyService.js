@@ -0,0 +1,94 @@
+const { ANOMALY_THRESHOLD, ANOMALY_BASELINE_DAYS } = require('../config');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Fewer same-hour samples than this and the baseline falls back to all hours
+const MIN_SAMPLES = 5;
+// Error shares are meaningless on a handful of requests
+const MIN_REQUESTS_FOR_SHARE = 50;
+
+// Each detector reads one value per hourly point. `floor` keeps a flat history
+// (zero spread) from turning tiny wobbles into huge scores.
+const DETECTORS = [
+  { metric: 'requests', value: (pt) => pt.requests || 0, floor: (median) => Math.max(median * 0.1, 5) },
+  { metric: 'threats', value: (pt) => pt.threats || 0, floor: (median) => Math.max(median * 0.2, 5) },
+  {
+    metric: '4xxShare',
+    value: (pt) => (pt.requests >= MIN_REQUESTS_FOR_SHARE ? (pt.statusBuckets?.['4xx'] || 0) / pt.requests : null),
+    floor: () => 0.02,
+  },
+  {
+    metric: '5xxShare',
+    value: (pt) => (pt.requests >= MIN_REQUESTS_FOR_SHARE ? (pt.statusBuckets?.['5xx'] || 0) / pt.requests : null),
+    floor: () => 0.01,
+  },
+];
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median and scaled median absolute deviation: robust to the spikes we're looking for
+function robustBaseline(values) {
+  const center = median(values);
+  const mad = median(values.map((value) => Math.abs(value - center)));
+  return { median: center, spread: mad * 1.4826 };
+}
+
+function baselineSince(now) {
+  return new Date(now.getTime() - ANOMALY_BASELINE_DAYS * 24 * HOUR_MS);
+}
+
+// Flags hourly points whose value deviates from the baseline for the same hour of day.
+// `history` is persisted hourly points; window points take precedence for the same hour.
+// Each point is compared against every other sample (leave-one-out), so it never
+// counts towards its own baseline.
+function detectAnomalies(timeseries, history = []) {
+  if (!timeseries || timeseries.length === 0) return [];
+
+  const samples = new Map();
+  history.forEach((pt) => samples.set(new Date(pt.datetime).toISOString(), pt));
+  timeseries.forEach((pt) => samples.set(new Date(pt.datetime).toISOString(), pt));
+  const allSamples = Array.from(samples.entries());
+
+  const anomalies = [];
+  timeseries.forEach((pt) => {
+    const datetime = new Date(pt.datetime).toISOString();
+    const hour = new Date(pt.datetime).getUTCHours();
+    const others = allSamples.filter(([key]) => key !== datetime);
+    const sameHour = others.filter(([key]) => new Date(key).getUTCHours() === hour);
+    const pool = sameHour.length >= MIN_SAMPLES ? sameHour : others;
+
+    DETECTORS.forEach((detector) => {
+      const value = detector.value(pt);
+      if (value === null) return;
+      const values = pool.map(([, sample]) => detector.value(sample)).filter((v) => v !== null);
+      if (values.length < MIN_SAMPLES) return;
+
+      const baseline = robustBaseline(values);
+      const spread = Math.max(baseline.spread, detector.floor(baseline.median));
+      const score = (value - baseline.median) / spread;
+      // Drops in error shares or threats are good news, only spikes are flagged there
+      if (detector.metric !== 'requests' && score < 0) return;
+      if (Math.abs(score) < ANOMALY_THRESHOLD) return;
+
+      anomalies.push({
+        datetime: pt.datetime,
+        metric: detector.metric,
+        value,
+        expected: baseline.median,
+        score: Math.round(score * 10) / 10,
+        direction: score > 0 ? 'high' : 'low',
+        baseline: pool === sameHour ? 'hour-of-day' : 'window',
+      });
+    });
+  });
+
+  return anomalies;
+}
+
+module.exports = {
+  detectAnomalies,
+  baselineSince,
+};
@@ -1,37 +1,116 @@
 const axios = require('axios');
+const tls = require('tls');
 
-async function checkSiteAvailability(SITE_URL) {
-  if (!SITE_URL) {
-    return { status: 'unknown', message: 'No site URL configured' };
-  }
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether an HTTP status satisfies a target's expectation: a code, a list of codes or a class like "2xx".
+// Without an expectation anything below 500 counts as reachable.
+function statusMatches(expected, code) {
+  if (expected === undefined || expected === null) return code < 500;
+  const accepted = Array.isArray(expected) ? expected : [expected];
+  return accepted.some((entry) => {
+    const text = String(entry).toLowerCase();
+    if (/^[1-5]xx$/.test(text)) return Math.floor(code / 100) === Number(text[0]);
+    return Number(entry) === code;
+  });
+}
+
+function describeError(error) {
+  if (error.code === 'ENOTFOUND') return 'DNS resolution failed';
+  if (error.code === 'ECONNREFUSED') return 'Connection refused';
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'Request timeout';
+  return error.message || 'Unknown error';
+}
+
+// Reads the certificate an https endpoint presents. Verification is left to the caller
+// so an expired or untrusted certificate is still reported rather than failing the handshake.
+function checkCertificate(url, timeoutMs) {
+  const { hostname, port } = new URL(url);
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: hostname,
+      port: Number(port) || 443,
+      servername: hostname,
+      rejectUnauthorized: false,
+    }, () => {
+      const cert = socket.getPeerCertificate();
+      const { authorized, authorizationError } = socket;
+      socket.end();
+      if (!cert || !cert.valid_to) {
+        reject(new Error('No certificate presented'));
+        return;
+      }
+      const validTo = new Date(cert.valid_to);
+      resolve({
+        validTo: validTo.toISOString(),
+        daysLeft: (validTo.getTime() - Date.now()) / DAY_MS,
+        authorized,
+        authorizationError: authorizationError ? String(authorizationError) : null,
+      });
+    });
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy();
+      reject(new Error('Certificate check timed out'));
+    });
+    socket.on('error', reject);
+  });
+}
+
+// One synthetic check of a monitor target. status is 'up', 'warning' (reachable but the
+// certificate is close to expiry) or 'down'.
+async function checkTarget(target) {
+  const startTime = Date.now();
+  const result = { timestamp: new Date(startTime).toISOString(), status: 'up' };
 
   try {
-    const startTime = Date.now();
-    const response = await axios.get(SITE_URL, {
-      timeout: 10000,
-      validateStatus: (status) => status < 500,
+    const response = await axios.request({
+      url: target.url,
+      method: target.method,
+      timeout: target.timeout * 1000,
+      validateStatus: () => true,
+      responseType: 'text',
+      transformResponse: (data) => data,
     });
-    const responseTime = Date.now() - startTime;
-
-    return {
-      status: 'online',
-      statusCode: response.status,
-      responseTime,
-      message: `HTTP ${response.status} - ${responseTime}ms`,
-    };
+    result.responseTime = Date.now() - startTime;
+    result.statusCode = response.status;
+
+    if (!statusMatches(target.expectedStatus, response.status)) {
+      result.status = 'down';
+      result.message = `HTTP ${response.status}`;
+    } else if (target.keyword && !String(response.data || '').includes(target.keyword)) {
+      result.status = 'down';
+      result.message = `HTTP ${response.status} - keyword "${target.keyword}" not found`;
+    } else {
+      result.message = `HTTP ${response.status} - ${result.responseTime}ms`;
+    }
   } catch (error) {
-    if (error.code === 'ENOTFOUND') {
-      return { status: 'offline', message: 'DNS resolution failed' };
-    } else if (error.code === 'ECONNREFUSED') {
-      return { status: 'offline', message: 'Connection refused' };
-    } else if (error.code === 'TIMEOUT') {
-      return { status: 'offline', message: 'Request timeout' };
-    } else if (error.response) {
-      return { status: 'error', statusCode: error.response.status, message: `HTTP ${error.response.status}` };
+    result.status = 'down';
+    result.message = describeError(error);
+  }
+
+  if (target.certExpiryDays && target.url.startsWith('https:')) {
+    try {
+      const cert = await checkCertificate(target.url, target.timeout * 1000);
+      result.certDaysLeft = Math.floor(cert.daysLeft);
+      if (cert.daysLeft <= 0) {
+        result.status = 'down';
+        result.message = `Certificate expired ${cert.validTo.slice(0, 10)}`;
+      } else if (!cert.authorized && result.status !== 'down') {
+        result.status = 'down';
+        result.message = `Certificate not trusted: ${cert.authorizationError}`;
+      } else if (cert.daysLeft < target.certExpiryDays && result.status === 'up') {
+        result.status = 'warning';
+        result.message = `Certificate expires in ${result.certDaysLeft} days`;
+      }
+    } catch (error) {
+      if (result.status === 'up') {
+        result.status = 'warning';
+        result.message = `Certificate check failed: ${error.message}`;
+      }
     }
-    return { status: 'offline', message: error.message || 'Unknown error' };
   }
-}
 
-module.exports = { checkSiteAvailability };
+  return result;
+}
 
+module.exports = { checkTarget, statusMatches };
@@ -0,0 +1,97 @@
+const { COST_CONFIG } = require('../config');
+
+const GB = 1024 ** 3;
+
+function pricingFor(zone) {
+  return { ...COST_CONFIG, ...(zone && zone.pricing) };
+}
+
+function monthStart(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+// Traffic the cache did not answer reaches the origin; cached bytes are egress the origin was spared
+function originUsage(totals) {
+  return {
+    bytes: totals.bytes || 0,
+    requests: totals.requests || 0,
+    originBytes: Math.max(0, (totals.bytes || 0) - (totals.cachedBytes || 0)),
+    originRequests: Math.max(0, (totals.requests || 0) - (totals.cachedRequests || 0)),
+    savedBytes: totals.cachedBytes || 0,
+  };
+}
+
+function priceTraffic(pricing, originBytes, originRequests) {
+  const egressCost = (originBytes / GB) * pricing.egressPerGb;
+  const requestCost = (originRequests / 1e6) * pricing.requestsPerMillion;
+  return { egressCost, requestCost, totalCost: egressCost + requestCost };
+}
+
+// Monthly usage is only billed beyond the plan's included quotas
+function priceBillable(pricing, originBytes, originRequests) {
+  return priceTraffic(
+    pricing,
+    Math.max(0, originBytes - pricing.includedEgressGb * GB),
+    Math.max(0, originRequests - pricing.includedRequests),
+  );
+}
+
+function quotaShare(used, included) {
+  return included > 0 ? used / included : null;
+}
+
+// Estimated origin cost of the selected range at list price, plus - when month-to-date totals
+// are known - billable cost so far and a linear projection to the end of the month
+function estimateCosts(zone, totals, monthTotals, now) {
+  const pricing = pricingFor(zone);
+  const usage = originUsage(totals);
+  const costs = {
+    currency: pricing.currency,
+    pricing: {
+      egressPerGb: pricing.egressPerGb,
+      requestsPerMillion: pricing.requestsPerMillion,
+      includedEgressGb: pricing.includedEgressGb,
+      includedRequests: pricing.includedRequests,
+    },
+    range: {
+      ...usage,
+      ...priceTraffic(pricing, usage.originBytes, usage.originRequests),
+      savedCost: (usage.savedBytes / GB) * pricing.egressPerGb,
+    },
+    monthToDate: null,
+  };
+  if (!monthTotals) return costs;
+
+  const since = monthStart(now);
+  const monthEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  // At least an hour in, so the first minutes of a month don't project absurd totals
+  const elapsed = Math.max(now.getTime() - since.getTime(), 60 * 60 * 1000) / (monthEnd - since.getTime());
+  const month = originUsage(monthTotals);
+  const projectedBytes = month.originBytes / elapsed;
+  const projectedRequests = month.originRequests / elapsed;
+  const includedBytes = pricing.includedEgressGb * GB;
+
+  costs.monthToDate = {
+    since: since.toISOString(),
+    ...month,
+    ...priceBillable(pricing, month.originBytes, month.originRequests),
+    savedCost: (month.savedBytes / GB) * pricing.egressPerGb,
+    projected: {
+      originBytes: Math.round(projectedBytes),
+      originRequests: Math.round(projectedRequests),
+      ...priceBillable(pricing, projectedBytes, projectedRequests),
+    },
+    quota: {
+      egressUsed: quotaShare(month.originBytes, includedBytes),
+      egressProjected: quotaShare(projectedBytes, includedBytes),
+      requestsUsed: quotaShare(month.originRequests, pricing.includedRequests),
+      requestsProjected: quotaShare(projectedRequests, pricing.includedRequests),
+    },
+  };
+  return costs;
+}
+
+module.exports = {
+  estimateCosts,
+  monthStart,
+};
@@ -0,0 +1,131 @@
+const { log } = require('../logger');
+const { THEMES } = require('./settingsService');
+const layoutService = require('./layoutService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Displays name themselves (?display= or a random id kept in localStorage)
+const DISPLAY_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+// Disconnected displays stay listed this long
+const RETENTION_MS = 7 * DAY_MS;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_MESSAGE_SECONDS = 3600;
+const COMMAND_TYPES = ['theme', 'layout', 'reload', 'message'];
+
+// Per display id: { id, userAgent, ip, theme, layout, zone, range, connections, connectedAt, lastSeen }
+const displays = new Map();
+let commandSequence = 0;
+
+function shortText(value) {
+  return typeof value === 'string' ? value.slice(0, 64) : null;
+}
+
+// Registers a display's stream connection; returns null for connections without a valid id
+function connectDisplay(id, info) {
+  if (!DISPLAY_ID_PATTERN.test(String(id || ''))) return null;
+  const now = new Date().toISOString();
+  const display = displays.get(id) || { id, connections: 0, connectedAt: now };
+  Object.assign(display, {
+    userAgent: info.userAgent || '',
+    ip: info.ip || '',
+    theme: shortText(info.theme),
+    layout: shortText(info.layout),
+    zone: info.zone,
+    range: info.range,
+    lastSeen: now,
+  });
+  if (display.connections === 0) {
+    display.connectedAt = now;
+    log('INFO', `Display ${id} connected`);
+  }
+  display.connections += 1;
+  displays.set(id, display);
+  return display;
+}
+
+function disconnectDisplay(id) {
+  const display = displays.get(id);
+  if (!display) return;
+  display.connections = Math.max(0, display.connections - 1);
+  display.lastSeen = new Date().toISOString();
+  if (display.connections === 0) log('INFO', `Display ${id} disconnected`);
+}
+
+function describe(display) {
+  const { connections, ...fields } = display;
+  return {
+    ...fields,
+    connected: connections > 0,
+    lastSeen: connections > 0 ? new Date().toISOString() : display.lastSeen,
+  };
+}
+
+// A registered display as listed by the API, or null
+function getDisplay(id) {
+  const display = displays.get(id);
+  return display ? describe(display) : null;
+}
+
+function listDisplays() {
+  const cutoff = Date.now() - RETENTION_MS;
+  const listed = [];
+  displays.forEach((display, id) => {
+    if (display.connections === 0 && Date.parse(display.lastSeen) < cutoff) {
+      displays.delete(id);
+      return;
+    }
+    listed.push(describe(display));
+  });
+  return listed.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Human-readable problems with a command body
+function validateCommand(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return ['Command must be a JSON object'];
+  if (!COMMAND_TYPES.includes(body.type)) return [`type must be one of ${COMMAND_TYPES.join(', ')}`];
+  const problems = [];
+  if (body.type === 'theme' && !THEMES.includes(body.theme)) {
+    problems.push(`theme must be one of ${THEMES.join(', ')}`);
+  }
+  if (body.type === 'layout' && !layoutService.listLayouts().some((layout) => layout.name === body.layout)) {
+    problems.push(`layout ${body.layout} is not an available layout`);
+  }
+  if (body.type === 'message') {
+    if (typeof body.text !== 'string' || !body.text.trim() || body.text.length > MAX_MESSAGE_LENGTH) {
+      problems.push(`text must be 1 to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (body.seconds !== undefined && !(Number.isInteger(body.seconds) && body.seconds > 0 && body.seconds <= MAX_MESSAGE_SECONDS)) {
+      problems.push(`seconds must be a whole number from 1 to ${MAX_MESSAGE_SECONDS}`);
+    }
+  }
+  return problems;
+}
+
+function createCommand(body) {
+  commandSequence += 1;
+  const command = { id: commandSequence, type: body.type, sentAt: new Date().toISOString() };
+  if (body.type === 'theme') command.theme = body.theme;
+  if (body.type === 'layout') command.layout = body.layout;
+  if (body.type === 'message') {
+    command.text = body.text.trim();
+    command.seconds = body.seconds || 10;
+  }
+  return command;
+}
+
+// Keeps the registry in step with what a command or a settings push told displays to show,
+// without waiting for them to reconnect. Null updates every connected display.
+function recordDisplayState(id, fields) {
+  displays.forEach((display) => {
+    if (id ? display.id === id : display.connections > 0) Object.assign(display, fields);
+  });
+}
+
+module.exports = {
+  connectDisplay,
+  disconnectDisplay,
+  getDisplay,
+  listDisplays,
+  validateCommand,
+  createCommand,
+  recordDisplayState,
+};
@@ -0,0 +1,120 @@
+const ExcelJS = require('exceljs');
+
+// Datasets /api/export can emit. Each maps a snapshot (or stored history) to flat rows
+// with a fixed column order, so every format carries the same table.
+const TRAFFIC_COLUMNS = [
+  'datetime', 'requests', 'pageviews', 'uniques', 'bytes', 'threats',
+  'cachedRequests', 'cachedBytes', 'uncachedRequests', 'cacheRatio',
+  'status2xx', 'status3xx', 'status4xx', 'status5xx',
+];
+
+function trafficRow(pt) {
+  const buckets = pt.statusBuckets || {};
+  return {
+    datetime: pt.datetime,
+    requests: pt.requests,
+    pageviews: pt.pageviews,
+    uniques: pt.uniques,
+    bytes: pt.bytes,
+    threats: pt.threats,
+    cachedRequests: pt.cachedRequests,
+    cachedBytes: pt.cachedBytes,
+    uncachedRequests: pt.uncachedRequests,
+    cacheRatio: pt.cacheRatio,
+    status2xx: buckets['2xx'] || 0,
+    status3xx: buckets['3xx'] || 0,
+    status4xx: buckets['4xx'] || 0,
+    status5xx: buckets['5xx'] || 0,
+  };
+}
+
+const EXPORT_DATASETS = {
+  timeseries: {
+    columns: TRAFFIC_COLUMNS,
+    rows: ({ snapshot }) => (snapshot.timeseries || []).map(trafficRow),
+  },
+  httpStatusSeries: {
+    columns: ['datetime', '2xx', '3xx', '4xx', '5xx'],
+    rows: ({ snapshot }) => snapshot.httpStatusSeries || [],
+  },
+  geographic: {
+    columns: ['country', 'requests', 'pageviews'],
+    rows: ({ snapshot }) => snapshot.geographic || [],
+  },
+  history: {
+    columns: TRAFFIC_COLUMNS,
+    rows: ({ history }) => history.map(trafficRow),
+  },
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+function buildTables(names, sources) {
+  return names.map((name) => ({
+    name,
+    columns: EXPORT_DATASETS[name].columns,
+    rows: EXPORT_DATASETS[name].rows(sources),
+  }));
+}
+
+// Quotes fields that need it, and defuses text a spreadsheet would run as a formula
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(table) {
+  const lines = [table.columns.map(csvField).join(',')];
+  table.rows.forEach((row) => lines.push(table.columns.map((column) => csvField(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// One JSON object per row, tagged with the dataset it belongs to
+function toNdjson(tables) {
+  return tables.map((table) => table.rows.map((row) => {
+    const record = { dataset: table.name };
+    table.columns.forEach((column) => { record[column] = row[column] === undefined ? null : row[column]; });
+    return `${JSON.stringify(record)}\n`;
+  }).join('')).join('');
+}
+
+async function toXlsx(tables) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  tables.forEach((table) => {
+    const sheet = workbook.addWorksheet(table.name);
+    sheet.columns = table.columns.map((column) => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    table.rows.forEach((row) => sheet.addRow(row));
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Renders tables in one format. CSV holds a single table, so callers pass exactly one.
+async function renderExport(format, tables) {
+  let body;
+  if (format === 'csv') body = toCsv(tables[0]);
+  else if (format === 'ndjson') body = toNdjson(tables);
+  else body = await toXlsx(tables);
+  return { ...EXPORT_FORMATS[format], body };
+}
+
+function exportFilename(zoneLabel, range, format, now = new Date()) {
+  const stamp = now.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  const label = String(zoneLabel).replace(/[^a-zA-Z0-9.-]+/g, '_');
+  return `cloudflare-${label}-${range}-${stamp}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+  buildTables,
+  renderExport,
+  exportFilename,
+};
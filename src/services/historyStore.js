@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, HISTORY_RETENTION_DAYS } = require('../config');
+const { log } = require('../logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+
+// Per-zone index of stored hourly buckets, keyed by ISO datetime. Loaded lazily
+// from an append-only JSON-lines file where the last line for a datetime wins.
+const indexes = {};
+
+function historyFile(zoneId) {
+  return path.join(HISTORY_DIR, `${String(zoneId).replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+function normalizeDatetime(datetime) {
+  return new Date(datetime).toISOString();
+}
+
+function loadIndex(zoneId) {
+  if (indexes[zoneId]) return indexes[zoneId];
+
+  const index = new Map();
+  const file = historyFile(zoneId);
+  if (fs.existsSync(file)) {
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        index.set(normalizeDatetime(record.datetime), record);
+      } catch (err) {
+        log('WARN', `Skipping corrupt history line in ${file}: ${err.message}`);
+      }
+    });
+  }
+
+  indexes[zoneId] = index;
+  return index;
+}
+
+// Appends buckets that are new or whose values changed since they were stored.
+// Returns the number of records written.
+function upsertBuckets(zoneId, points) {
+  const index = loadIndex(zoneId);
+  const changed = [];
+
+  points.forEach((point) => {
+    const record = { ...point, datetime: normalizeDatetime(point.datetime) };
+    const existing = index.get(record.datetime);
+    if (existing && JSON.stringify(existing) === JSON.stringify(record)) return;
+    index.set(record.datetime, record);
+    changed.push(record);
+  });
+
+  if (changed.length === 0) return 0;
+
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.appendFileSync(historyFile(zoneId), changed.map((record) => `${JSON.stringify(record)}\n`).join(''));
+  } catch (err) {
+    log('ERROR', `Could not write history for zone ${zoneId}: ${err.message}`);
+    return 0;
+  }
+  return changed.length;
+}
+
+// Stored buckets with since <= datetime < until, oldest first
+function getHistory(zoneId, since, until) {
+  const from = new Date(since).getTime();
+  const to = new Date(until).getTime();
+  return Array.from(loadIndex(zoneId).values())
+    .filter((record) => {
+      const time = new Date(record.datetime).getTime();
+      return time >= from && time < to;
+    })
+    .sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+}
+
+// Hour starts in [since, until) with no stored bucket
+function getMissingHours(zoneId, since, until) {
+  const index = loadIndex(zoneId);
+  const missing = [];
+  const start = Math.floor(new Date(since).getTime() / HOUR_MS) * HOUR_MS;
+  for (let time = start; time < new Date(until).getTime(); time += HOUR_MS) {
+    const datetime = new Date(time).toISOString();
+    if (!index.has(datetime)) missing.push(datetime);
+  }
+  return missing;
+}
+
+// Drops buckets older than the retention window and compacts superseded lines
+function pruneHistory(zoneId) {
+  const index = loadIndex(zoneId);
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * HOUR_MS;
+  let removed = 0;
+
+  index.forEach((record, datetime) => {
+    if (new Date(datetime).getTime() < cutoff) {
+      index.delete(datetime);
+      removed += 1;
+    }
+  });
+
+  const file = historyFile(zoneId);
+  if (!fs.existsSync(file)) return removed;
+
+  try {
+    const records = Array.from(index.values()).sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+    fs.renameSync(tmpFile, file);
+  } catch (err) {
+    log('ERROR', `Could not compact history for zone ${zoneId}: ${err.message}`);
+  }
+
+  if (removed > 0) log('INFO', `Pruned ${removed} history bucket(s) older than ${HISTORY_RETENTION_DAYS} days for zone ${zoneId}`);
+  return removed;
+}
+
+module.exports = {
+  upsertBuckets,
+  getHistory,
+  getMissingHours,
+  pruneHistory,
+};
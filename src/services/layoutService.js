@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { LAYOUTS_DIR, SETTINGS } = require('../config');
+const { log } = require('../logger');
+
+const WIDGET_TYPES = ['grid', 'metrics', 'traffic', 'list', 'status', 'system', 'security', 'costs'];
+const HEADER_MODES = ['full', 'compact', 'hidden'];
+// Layout names map straight to file names, so keep them to a safe character set
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+function layoutPath(name) {
+  return path.join(LAYOUTS_DIR, `${name}.json`);
+}
+
+// Collects human-readable problems for a widget node and its children
+function validateNode(node, where, problems) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    problems.push(`${where} must be an object`);
+    return;
+  }
+  const type = node.type || 'grid';
+  if (!WIDGET_TYPES.includes(type)) {
+    problems.push(`${where} has unknown widget type "${type}"`);
+    return;
+  }
+  ['column', 'row'].forEach((key) => {
+    if (node[key] !== undefined && !['string', 'number'].includes(typeof node[key])) {
+      problems.push(`${where}.${key} must be a string or number`);
+    }
+  });
+  if (node.options !== undefined && (typeof node.options !== 'object' || Array.isArray(node.options))) {
+    problems.push(`${where}.options must be an object`);
+  }
+  if (type === 'grid') {
+    if (!Array.isArray(node.widgets)) {
+      problems.push(`${where}.widgets must be an array`);
+      return;
+    }
+    node.widgets.forEach((child, i) => validateNode(child, `${where}.widgets[${i}]`, problems));
+  }
+}
+
+function validateLayout(layout) {
+  const problems = [];
+  validateNode(layout, 'layout', problems);
+  if (layout && layout.header !== undefined && !HEADER_MODES.includes(layout.header)) {
+    problems.push(`layout.header must be one of ${HEADER_MODES.join(', ')}`);
+  }
+  return problems;
+}
+
+// Layout files are read on every request so edits show up on the next page load without a restart.
+// Returns null for an unknown layout and throws when the file is not a valid layout.
+function loadLayout(name = SETTINGS.defaultLayout) {
+  if (!NAME_PATTERN.test(name)) return null;
+  const file = layoutPath(name);
+  if (!fs.existsSync(file)) return null;
+
+  let layout;
+  try {
+    layout = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Layout ${name} is not valid JSON: ${err.message}`);
+  }
+  const problems = validateLayout(layout);
+  if (problems.length > 0) {
+    throw new Error(`Layout ${name} is invalid: ${problems.join('; ')}`);
+  }
+  return { header: 'full', ...layout, name };
+}
+
+function listLayouts() {
+  if (!fs.existsSync(LAYOUTS_DIR)) return [];
+  return fs.readdirSync(LAYOUTS_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+    .filter((name) => NAME_PATTERN.test(name))
+    .sort()
+    .map((name) => {
+      try {
+        const layout = loadLayout(name);
+        return { name, description: layout.description || '' };
+      } catch (err) {
+        log('WARN', err.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  loadLayout,
+  listLayouts,
+  validateLayout,
+  WIDGET_TYPES,
+};
@@ -0,0 +1,114 @@
+// Prometheus/OpenMetrics exposition for the processed analytics and the service's own health
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const PREFIX = 'cloudflare_analytics';
+
+// Internal counters and gauges, keyed by label string
+const upstreamErrors = new Map();
+const refreshFailures = new Map();
+const lastSuccess = new Map();
+const refreshDuration = new Map();
+
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+// Counts a failed Cloudflare API call (transport error or GraphQL-level errors)
+function recordUpstreamError(zoneId, query) {
+  const queryLabel = query.toLowerCase().replace(/\s+/g, '_');
+  increment(upstreamErrors, JSON.stringify({ zoneId, query: queryLabel }));
+}
+
+function recordRefresh(zoneId, success, durationMs) {
+  if (success) {
+    lastSuccess.set(zoneId, Date.now() / 1000);
+  } else {
+    increment(refreshFailures, zoneId);
+  }
+  refreshDuration.set(zoneId, durationMs / 1000);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+// Collects samples into families so each family's TYPE/HELP header is written once
+function createWriter() {
+  const families = new Map();
+  return {
+    add(name, type, help, labels, value) {
+      if (value === undefined || value === null || Number.isNaN(value)) return;
+      if (!families.has(name)) families.set(name, { type, help, samples: [] });
+      const sampleName = type === 'counter' ? `${name}_total` : name;
+      families.get(name).samples.push(`${sampleName}${formatLabels(labels)} ${value}`);
+    },
+    toString() {
+      const lines = [];
+      families.forEach(({ type, help, samples }, name) => {
+        lines.push(`# TYPE ${name} ${type}`);
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(...samples);
+      });
+      lines.push('# EOF');
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+// entries: [{ zone, snapshot }] using the default-range snapshot of each zone
+function renderMetrics(entries) {
+  const writer = createWriter();
+
+  entries.forEach(({ zone, snapshot }) => {
+    const labels = { zone: zone.label, zone_id: zone.id };
+
+    if (snapshot && !snapshot.error) {
+      const { totals = {}, httpStatus = {}, cache = {}, siteStatus = {} } = snapshot;
+      writer.add(`${PREFIX}_requests`, 'gauge', 'Requests over the last 24 hours.', labels, totals.requests);
+      writer.add(`${PREFIX}_pageviews`, 'gauge', 'Page views over the last 24 hours.', labels, totals.pageviews);
+      writer.add(`${PREFIX}_uniques`, 'gauge', 'Unique visitors over the last 24 hours.', labels, totals.uniques);
+      writer.add(`${PREFIX}_bytes`, 'gauge', 'Bytes served over the last 24 hours.', labels, totals.bytes);
+      writer.add(`${PREFIX}_threats`, 'gauge', 'Threats over the last 24 hours.', labels, totals.threats);
+      writer.add(`${PREFIX}_cached_requests`, 'gauge', 'Requests served from cache over the last 24 hours.', labels, totals.cachedRequests);
+      writer.add(`${PREFIX}_cached_bytes`, 'gauge', 'Bytes served from cache over the last 24 hours.', labels, totals.cachedBytes);
+      writer.add(`${PREFIX}_cache_ratio`, 'gauge', 'Share of requests served from cache (0-1).', labels, cache.cacheRatio);
+      ['2xx', '3xx', '4xx', '5xx'].forEach((statusClass) => {
+        writer.add(
+          `${PREFIX}_http_responses`, 'gauge', 'Edge responses by status class over the last 24 hours.',
+          { ...labels, status_class: statusClass }, httpStatus[statusClass] || 0,
+        );
+      });
+      if (siteStatus.status && siteStatus.status !== 'unknown') {
+        writer.add(`${PREFIX}_site_up`, 'gauge', 'Whether the availability check reached the site (1) or not (0).', labels, siteStatus.status === 'online' ? 1 : 0);
+      }
+      if (siteStatus.responseTime !== undefined) {
+        writer.add(`${PREFIX}_site_response_time_seconds`, 'gauge', 'Response time of the last availability check.', labels, siteStatus.responseTime / 1000);
+      }
+    }
+
+    writer.add(`${PREFIX}_last_success_timestamp_seconds`, 'gauge', 'Unix time of the last successful refresh.', labels, lastSuccess.get(zone.id));
+    writer.add(`${PREFIX}_refresh_duration_seconds`, 'gauge', 'Duration of the last refresh attempt.', labels, refreshDuration.get(zone.id));
+    writer.add(`${PREFIX}_refresh_failures`, 'counter', 'Refreshes that failed and fell back to cached or empty data.', labels, refreshFailures.get(zone.id) || 0);
+  });
+
+  upstreamErrors.forEach((count, key) => {
+    const { zoneId, query } = JSON.parse(key);
+    const entry = entries.find(({ zone }) => zone.id === zoneId);
+    const zoneLabel = entry ? entry.zone.label : zoneId;
+    writer.add(`${PREFIX}_upstream_errors`, 'counter', 'Failed Cloudflare API calls by query.', { zone: zoneLabel, zone_id: zoneId, query }, count);
+  });
+
+  return writer.toString();
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  recordUpstreamError,
+  recordRefresh,
+  renderMetrics,
+};
@@ -0,0 +1,245 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const {
+  MONITORS_FILE, MONITOR_RETENTION_HOURS, DATA_DIR, SETTINGS, ZONES,
+} = require('../config');
+const { log } = require('../logger');
+const { checkTarget } = require('./availability');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MONITOR_DIR = path.join(DATA_DIR, 'monitors');
+// Uptime and latency percentiles cover the last day; the sparkline shows the latest checks
+const SUMMARY_WINDOW_MS = 24 * HOUR_MS;
+const SPARKLINE_POINTS = 30;
+const MIN_INTERVAL = 10; // seconds
+
+let targets = [];
+// Per target id: check results oldest first, mirrored in an append-only JSON-lines file
+const results = new Map();
+const timers = new Map();
+const running = new Set();
+
+// Emits 'result' (target, result) after every check
+const monitorEvents = new EventEmitter();
+
+function resultsFile(targetId) {
+  return path.join(MONITOR_DIR, `${String(targetId).replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+function normalizeTarget(target) {
+  return {
+    timeout: 10,
+    ...target,
+    id: String(target.id),
+    name: target.name || String(target.id),
+    method: String(target.method || 'GET').toUpperCase(),
+    interval: Math.max(parseInt(target.interval, 10) || SETTINGS.refreshInterval, MIN_INTERVAL),
+  };
+}
+
+// Without a monitors file every zone's site URL is checked on the refresh interval,
+// which keeps siteStatus working as before
+function loadTargets() {
+  if (!fs.existsSync(MONITORS_FILE)) {
+    targets = ZONES.filter((zone) => zone.siteUrl).map((zone) => normalizeTarget({
+      id: zone.id, name: zone.label, url: zone.siteUrl, zone: zone.id,
+    }));
+    log('INFO', `No monitors file at ${MONITORS_FILE} - monitoring ${targets.length} zone site URL(s)`);
+    return targets;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(MONITORS_FILE, 'utf8'));
+    const seen = new Set();
+    targets = (config.targets || []).filter((target) => {
+      if (!target.id || !target.url) {
+        log('WARN', `Monitor target ${target.id || '(no id)'} needs an id and url - ignoring`);
+        return false;
+      }
+      if (seen.has(String(target.id))) {
+        log('WARN', `Duplicate monitor target id ${target.id} - ignoring`);
+        return false;
+      }
+      seen.add(String(target.id));
+      return true;
+    }).map(normalizeTarget);
+    log('INFO', `Loaded ${targets.length} monitor target(s)`);
+  } catch (err) {
+    log('ERROR', `Could not load monitor targets from ${MONITORS_FILE}: ${err.message}`);
+    targets = [];
+  }
+  return targets;
+}
+
+function loadResults(targetId) {
+  const file = resultsFile(targetId);
+  const cutoff = Date.now() - MONITOR_RETENTION_HOURS * HOUR_MS;
+  if (!fs.existsSync(file)) return [];
+
+  const loaded = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      const result = JSON.parse(line);
+      if (new Date(result.timestamp).getTime() >= cutoff) loaded.push(result);
+    } catch (err) {
+      log('WARN', `Skipping corrupt monitor line in ${file}: ${err.message}`);
+    }
+  });
+  return loaded;
+}
+
+function recordResult(target, result) {
+  const list = results.get(target.id) || [];
+  const previous = list[list.length - 1];
+  list.push(result);
+  results.set(target.id, list);
+
+  if (previous && previous.status !== result.status) {
+    log(result.status === 'down' ? 'WARN' : 'INFO', `Monitor ${target.name} is ${result.status}: ${result.message}`);
+  }
+
+  try {
+    fs.mkdirSync(MONITOR_DIR, { recursive: true });
+    fs.appendFileSync(resultsFile(target.id), `${JSON.stringify(result)}\n`);
+  } catch (err) {
+    log('ERROR', `Could not write monitor result for ${target.id}: ${err.message}`);
+  }
+  monitorEvents.emit('result', target, result);
+}
+
+async function runCheck(target) {
+  // A slow target must not pile up overlapping checks
+  if (running.has(target.id)) return null;
+  running.add(target.id);
+  try {
+    const result = await checkTarget(target);
+    recordResult(target, result);
+    return result;
+  } finally {
+    running.delete(target.id);
+  }
+}
+
+function stopMonitors() {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.clear();
+}
+
+function startMonitors() {
+  stopMonitors();
+  loadTargets();
+  targets.forEach((target) => {
+    if (!results.has(target.id)) results.set(target.id, loadResults(target.id));
+    runCheck(target).catch((error) => log('ERROR', `Monitor check for ${target.name} failed: ${error.message}`));
+    timers.set(target.id, setInterval(() => {
+      runCheck(target).catch((error) => log('ERROR', `Monitor check for ${target.name} failed: ${error.message}`));
+    }, target.interval * 1000));
+  });
+}
+
+// Drops results older than the retention window and compacts each target's file
+function pruneResults() {
+  const cutoff = Date.now() - MONITOR_RETENTION_HOURS * HOUR_MS;
+  results.forEach((list, targetId) => {
+    const kept = list.filter((result) => new Date(result.timestamp).getTime() >= cutoff);
+    results.set(targetId, kept);
+
+    const file = resultsFile(targetId);
+    if (!fs.existsSync(file)) return;
+    try {
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, kept.map((result) => `${JSON.stringify(result)}\n`).join(''));
+      fs.renameSync(tmpFile, file);
+    } catch (err) {
+      log('ERROR', `Could not compact monitor results for ${targetId}: ${err.message}`);
+    }
+  });
+}
+
+// Nearest-rank percentile of an unsorted list
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Check count, uptime (share of checks not down) and latency percentiles since a point in time
+function getStats(targetId, since) {
+  const recent = getResults(targetId, since);
+  const latencies = recent.filter((result) => typeof result.responseTime === 'number').map((result) => result.responseTime);
+  return {
+    checks: recent.length,
+    uptime: recent.length > 0 ? recent.filter((result) => result.status !== 'down').length / recent.length : null,
+    latency: { p50: percentile(latencies, 50), p95: percentile(latencies, 95) },
+  };
+}
+
+function summarize(target) {
+  const list = results.get(target.id) || [];
+  const stats = getStats(target.id, Date.now() - SUMMARY_WINDOW_MS);
+  const latest = list[list.length - 1] || null;
+
+  return {
+    id: target.id,
+    name: target.name,
+    url: target.url,
+    zone: target.zone || null,
+    status: latest ? latest.status : 'unknown',
+    message: latest ? latest.message : 'Waiting for first check',
+    lastCheck: latest ? latest.timestamp : null,
+    certDaysLeft: latest && latest.certDaysLeft !== undefined ? latest.certDaysLeft : null,
+    ...stats,
+    sparkline: list.slice(-SPARKLINE_POINTS).map((result) => ({
+      timestamp: result.timestamp,
+      status: result.status,
+      responseTime: result.responseTime,
+    })),
+  };
+}
+
+function getSummaries() {
+  return targets.map(summarize);
+}
+
+function getTarget(targetId) {
+  return targets.find((target) => target.id === targetId) || null;
+}
+
+// Results with timestamp >= since, oldest first
+function getResults(targetId, since) {
+  const from = new Date(since).getTime();
+  return (results.get(targetId) || []).filter((result) => new Date(result.timestamp).getTime() >= from);
+}
+
+// Availability of a zone's site in the shape snapshots have always used for siteStatus
+function getSiteStatus(zoneId) {
+  const target = targets.find((candidate) => candidate.zone === zoneId);
+  if (!target) return { status: 'unknown', message: 'No site URL configured' };
+  const list = results.get(target.id) || [];
+  const latest = list[list.length - 1];
+  if (!latest) return { status: 'unknown', message: 'Waiting for first check' };
+
+  let status = 'online';
+  if (latest.status === 'down') status = latest.statusCode ? 'error' : 'offline';
+  return {
+    status,
+    statusCode: latest.statusCode,
+    responseTime: latest.responseTime,
+    message: latest.message,
+  };
+}
+
+module.exports = {
+  monitorEvents,
+  startMonitors,
+  stopMonitors,
+  pruneResults,
+  getSummaries,
+  getTarget,
+  getResults,
+  getStats,
+  getSiteStatus,
+  summarize,
+};
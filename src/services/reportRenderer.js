@@ -0,0 +1,361 @@
+const PDFDocument = require('pdfkit');
+
+// Renders a report summary (see reportService.buildSummary) as standalone HTML, PDF and plain text.
+// Charts are computed once as SVG geometry: inlined as <svg> in HTML and replayed as vector
+// paths in the PDF, so reports need no browser or canvas to produce images.
+
+const CHART = {
+  width: 720, height: 220, left: 56, right: 12, top: 12, bottom: 28,
+};
+const COLORS = {
+  requests: '#e5484d',
+  cachedRequests: '#3e9bd6',
+  status4xx: '#f5a623',
+  status5xx: '#b4232a',
+  grid: '#e5e7eb',
+  muted: '#6b7280',
+  text: '#111827',
+};
+
+const TOTAL_ROWS = [
+  ['requests', 'Requests', 'number'],
+  ['pageviews', 'Page views', 'number'],
+  ['uniques', 'Unique visitors', 'number'],
+  ['bytes', 'Bandwidth', 'bytes'],
+  ['cachedRequests', 'Cached requests', 'number'],
+  ['threats', 'Threats', 'number'],
+];
+
+function formatNumber(value) {
+  return Math.round(value || 0).toLocaleString('en-US');
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+  return `${(bytes / 1024 ** i).toFixed(1)} ${sizes[i]}`;
+}
+
+function formatPercent(share, digits = 1) {
+  return share === null || share === undefined ? '-' : `${(share * 100).toFixed(digits)}%`;
+}
+
+function formatDelta(delta) {
+  if (delta === null) return '-';
+  const percent = Math.round(delta * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+function formatValue(kind, value) {
+  return kind === 'bytes' ? formatBytes(value) : formatNumber(value);
+}
+
+function formatDate(iso, withTime = true) {
+  const options = withTime
+    ? { dateStyle: 'medium', timeStyle: 'short' }
+    : { dateStyle: 'medium' };
+  return new Date(iso).toLocaleString('en-US', options);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Rounds the axis maximum up to 1, 2 or 5 times a power of ten
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const fraction = value / magnitude;
+  const nice = [1, 2, 5, 10].find((step) => fraction <= step);
+  return nice * magnitude;
+}
+
+// Line chart geometry in SVG coordinates; `series` entries are { label, color, value(point) }
+function lineChart(points, series, formatTick, period) {
+  const {
+    width, height, left, right, top, bottom,
+  } = CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const max = niceMax(Math.max(0, ...series.flatMap((line) => points.map(line.value))));
+  const x = (i) => left + (points.length > 1 ? (i / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => top + plotHeight - (value / max) * plotHeight;
+  const labelEvery = Math.max(1, Math.ceil(points.length / 8));
+
+  return {
+    width,
+    height,
+    gridLines: [0, 0.25, 0.5, 0.75, 1].map((fraction) => ({
+      x1: left, x2: width - right, y: y(max * fraction), label: formatTick(max * fraction),
+    })),
+    xLabels: points.map((point, i) => ({ i, point })).filter(({ i }) => i % labelEvery === 0).map(({ i, point }) => ({
+      x: x(i),
+      y: height - 10,
+      text: period === 'daily'
+        ? new Date(point.datetime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })
+        : new Date(point.datetime).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    })),
+    lines: series.map((line) => ({
+      label: line.label,
+      color: line.color,
+      d: points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(line.value(point) || 0).toFixed(1)}`).join(' '),
+    })),
+  };
+}
+
+function buildCharts(summary) {
+  const { series, period } = summary;
+  return [
+    {
+      title: 'Traffic',
+      chart: lineChart(series, [
+        { label: 'Requests', color: COLORS.requests, value: (point) => point.requests },
+        { label: 'Cached requests', color: COLORS.cachedRequests, value: (point) => point.cachedRequests },
+      ], (value) => formatNumber(value), period),
+    },
+    {
+      title: 'Error rates',
+      chart: lineChart(series, [
+        { label: '4xx share', color: COLORS.status4xx, value: (point) => point.share4xx },
+        { label: '5xx share', color: COLORS.status5xx, value: (point) => point.share5xx },
+      ], (value) => formatPercent(value, 0), period),
+    },
+  ];
+}
+
+function chartSvg(chart) {
+  const grid = chart.gridLines.map((line) => `
+    <line x1="${line.x1}" y1="${line.y.toFixed(1)}" x2="${line.x2}" y2="${line.y.toFixed(1)}" stroke="${COLORS.grid}" />
+    <text x="${line.x1 - 6}" y="${(line.y + 3).toFixed(1)}" text-anchor="end" fill="${COLORS.muted}">${escapeHtml(line.label)}</text>`).join('');
+  const labels = chart.xLabels.map((label) => `
+    <text x="${label.x.toFixed(1)}" y="${label.y}" text-anchor="middle" fill="${COLORS.muted}">${escapeHtml(label.text)}</text>`).join('');
+  const lines = chart.lines.map((line) => `
+    <path d="${line.d}" fill="none" stroke="${line.color}" stroke-width="2" />`).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${chart.width} ${chart.height}" width="100%" font-family="Helvetica, Arial, sans-serif" font-size="10">${grid}${labels}${lines}
+  </svg>`;
+}
+
+function legendHtml(chart) {
+  return chart.lines.map((line) => `<span class="legend"><span class="swatch" style="background:${line.color}"></span>${escapeHtml(line.label)}</span>`).join('');
+}
+
+function renderHtml(summary) {
+  const charts = buildCharts(summary);
+  const totalsRows = TOTAL_ROWS.map(([key, label, kind]) => `
+        <tr>
+          <td>${label}</td>
+          <td class="num">${formatValue(kind, summary.totals[key])}</td>
+          <td class="num">${summary.previousTotals ? formatValue(kind, summary.previousTotals[key]) : '-'}</td>
+          <td class="num">${formatDelta(summary.deltas[key])}</td>
+        </tr>`).join('');
+  const countryRows = summary.topCountries.map((country) => `
+        <tr><td>${escapeHtml(country.country)}</td><td class="num">${formatNumber(country.requests)}</td><td class="num">${formatPercent(country.share)}</td></tr>`).join('')
+    || '<tr><td colspan="3" class="muted">No geographic data</td></tr>';
+  const availabilityRows = summary.availability.map((target) => `
+        <tr>
+          <td>${escapeHtml(target.name)}</td>
+          <td class="num">${formatPercent(target.uptime, 2)}</td>
+          <td class="num">${formatNumber(target.checks)}</td>
+          <td class="num">${target.latency.p95 === null ? '-' : `${target.latency.p95} ms`}</td>
+        </tr>`).join('')
+    || '<tr><td colspan="4" class="muted">No uptime monitors</td></tr>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(summary.title)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: ${COLORS.text}; max-width: 760px; margin: 24px auto; padding: 0 16px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 16px; margin: 28px 0 8px; }
+    .muted { color: ${COLORS.muted}; }
+    .warning { color: ${COLORS.status5xx}; font-weight: bold; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid ${COLORS.grid}; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    .legend { font-size: 12px; margin-right: 16px; }
+    .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 6px; border-radius: 2px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(summary.title)}</h1>
+  <div class="muted">${formatDate(summary.from)} – ${formatDate(summary.to)} · generated ${formatDate(summary.generatedAt)}</div>
+  ${summary.stale ? '<p class="warning">Cloudflare data was outdated when this report was generated.</p>' : ''}
+
+  <h2>Totals</h2>
+  <table>
+    <thead><tr><th>Metric</th><th class="num">This period</th><th class="num">Previous period</th><th class="num">Change</th></tr></thead>
+    <tbody>${totalsRows}
+    </tbody>
+  </table>
+
+  <h2>Error rates</h2>
+  <table>
+    <tbody>
+      <tr><td>4xx responses</td><td class="num">${formatPercent(summary.errorRates['4xx'], 2)}</td></tr>
+      <tr><td>5xx responses</td><td class="num">${formatPercent(summary.errorRates['5xx'], 2)}</td></tr>
+    </tbody>
+  </table>
+${charts.map(({ title, chart }) => `
+  <h2>${title}</h2>
+  <div>${legendHtml(chart)}</div>
+  ${chartSvg(chart)}`).join('')}
+
+  <h2>Top countries</h2>
+  <table>
+    <thead><tr><th>Country</th><th class="num">Requests</th><th class="num">Share</th></tr></thead>
+    <tbody>${countryRows}
+    </tbody>
+  </table>
+
+  <h2>Availability</h2>
+  <table>
+    <thead><tr><th>Target</th><th class="num">Uptime</th><th class="num">Checks</th><th class="num">p95 latency</th></tr></thead>
+    <tbody>${availabilityRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+// Draws a table of rows (arrays of strings); the first column is left-aligned, the rest right-aligned
+function pdfTable(doc, header, rows, widths) {
+  const left = doc.page.margins.left;
+  const drawRow = (cells, bold) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLORS.text);
+    cells.forEach((cell, i) => {
+      doc.text(cell, x, y, { width: widths[i] - 6, align: i === 0 ? 'left' : 'right', lineBreak: false, ellipsis: true });
+      x += widths[i];
+    });
+    doc.moveTo(left, y + 14).lineTo(x, y + 14).lineWidth(0.5).strokeColor(COLORS.grid).stroke();
+    doc.x = left;
+    doc.y = y + 18;
+  };
+  if (header) drawRow(header, true);
+  rows.forEach((row) => drawRow(row, false));
+}
+
+function pdfHeading(doc, text) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(text, doc.page.margins.left);
+  doc.moveDown(0.3);
+}
+
+function pdfChart(doc, chart) {
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const scale = width / chart.width;
+  if (doc.y + chart.height * scale > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  const originX = doc.page.margins.left;
+  const originY = doc.y;
+
+  doc.font('Helvetica').fontSize(9);
+  let legendX = originX;
+  chart.lines.forEach((line) => {
+    doc.rect(legendX, originY + 1, 8, 8).fill(line.color);
+    doc.fillColor(COLORS.text).text(line.label, legendX + 12, originY, { lineBreak: false });
+    legendX += 24 + doc.widthOfString(line.label);
+  });
+
+  doc.save();
+  doc.translate(originX, originY + 16).scale(scale);
+  doc.fontSize(10);
+  chart.gridLines.forEach((line) => {
+    doc.moveTo(line.x1, line.y).lineTo(line.x2, line.y).lineWidth(1).strokeColor(COLORS.grid).stroke();
+    doc.fillColor(COLORS.muted).text(line.label, 0, line.y - 4, { width: line.x1 - 6, align: 'right', lineBreak: false });
+  });
+  chart.xLabels.forEach((label) => {
+    doc.fillColor(COLORS.muted).text(label.text, label.x - 40, label.y - 8, { width: 80, align: 'center', lineBreak: false });
+  });
+  chart.lines.forEach((line) => {
+    doc.path(line.d).lineWidth(2).strokeColor(line.color).stroke();
+  });
+  doc.restore();
+
+  doc.x = originX;
+  doc.y = originY + 16 + chart.height * scale + 8;
+}
+
+function renderPdf(summary) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: summary.title } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text(summary.title);
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`${formatDate(summary.from)} – ${formatDate(summary.to)} · generated ${formatDate(summary.generatedAt)}`);
+    if (summary.stale) {
+      doc.moveDown(0.5).fillColor(COLORS.status5xx).text('Cloudflare data was outdated when this report was generated.');
+    }
+
+    pdfHeading(doc, 'Totals');
+    pdfTable(doc, ['Metric', 'This period', 'Previous period', 'Change'], TOTAL_ROWS.map(([key, label, kind]) => [
+      label,
+      formatValue(kind, summary.totals[key]),
+      summary.previousTotals ? formatValue(kind, summary.previousTotals[key]) : '-',
+      formatDelta(summary.deltas[key]),
+    ]), [200, 105, 105, 105]);
+
+    pdfHeading(doc, 'Error rates');
+    pdfTable(doc, null, [
+      ['4xx responses', formatPercent(summary.errorRates['4xx'], 2)],
+      ['5xx responses', formatPercent(summary.errorRates['5xx'], 2)],
+    ], [200, 105]);
+
+    buildCharts(summary).forEach(({ title, chart }) => {
+      pdfHeading(doc, title);
+      pdfChart(doc, chart);
+    });
+
+    pdfHeading(doc, 'Top countries');
+    pdfTable(doc, ['Country', 'Requests', 'Share'], summary.topCountries.length > 0
+      ? summary.topCountries.map((country) => [country.country, formatNumber(country.requests), formatPercent(country.share)])
+      : [['No geographic data', '', '']], [200, 105, 105]);
+
+    pdfHeading(doc, 'Availability');
+    pdfTable(doc, ['Target', 'Uptime', 'Checks', 'p95 latency'], summary.availability.length > 0
+      ? summary.availability.map((target) => [
+        target.name,
+        formatPercent(target.uptime, 2),
+        formatNumber(target.checks),
+        target.latency.p95 === null ? '-' : `${target.latency.p95} ms`,
+      ])
+      : [['No uptime monitors', '', '', '']], [200, 105, 105, 105]);
+
+    doc.end();
+  });
+}
+
+// Short plain-text version for email bodies and chat messages
+function renderText(summary) {
+  const lines = [
+    summary.title,
+    `${formatDate(summary.from)} – ${formatDate(summary.to)}`,
+    '',
+    ...TOTAL_ROWS.map(([key, label, kind]) => `${label}: ${formatValue(kind, summary.totals[key])} (${formatDelta(summary.deltas[key])})`),
+    `4xx rate: ${formatPercent(summary.errorRates['4xx'], 2)}, 5xx rate: ${formatPercent(summary.errorRates['5xx'], 2)}`,
+  ];
+  if (summary.topCountries.length > 0) {
+    lines.push(`Top countries: ${summary.topCountries.slice(0, 5).map((country) => `${country.country} ${formatPercent(country.share)}`).join(', ')}`);
+  }
+  summary.availability.forEach((target) => lines.push(`${target.name}: ${formatPercent(target.uptime, 2)} uptime`));
+  return lines.join('\n');
+}
+
+module.exports = {
+  renderHtml,
+  renderPdf,
+  renderText,
+};
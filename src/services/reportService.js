@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  REPORTS_FILE, REPORTS_DIR, REPORT_RETENTION_DAYS, ZONES,
+} = require('../config');
+const { log } = require('../logger');
+const { getNotifier } = require('../notifiers');
+const { parseCron, cronMatches, nextRun } = require('../cron');
+const { fetchAnalyticsData } = require('./analyticsService');
+const monitorService = require('./monitorService');
+const { renderHtml, renderPdf, renderText } = require('./reportRenderer');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Report period -> the dashboard range whose processed snapshot it summarizes
+const PERIODS = {
+  daily: { range: '24h', durationMs: DAY_MS },
+  weekly: { range: '7d', durationMs: 7 * DAY_MS },
+};
+const TOTAL_KEYS = ['requests', 'pageviews', 'uniques', 'bytes', 'cachedRequests', 'threats'];
+const ID_PATTERN = /^[a-zA-Z0-9_]+(-[a-zA-Z0-9_]+)*$/;
+// Generated files are named <report id>-<zone id>-<YYYYMMDD-HHMM>.<ext>; nothing else is served
+const FILE_PATTERN = /^[a-zA-Z0-9_-]+-\d{8}-\d{4}\.(html|pdf)$/;
+
+let reports = [];
+let channels = {};
+// Public URL of the dashboard, used for download links in webhook deliveries
+let baseUrl = '';
+let timer = null;
+// The minute the schedules were last checked for
+let lastTick = 0;
+const running = new Set();
+// Per report id: ISO time of the last run
+const lastRuns = new Map();
+// Per report id: the Date of its next run, recomputed once that has passed
+const nextRuns = new Map();
+
+function loadReports() {
+  reports = [];
+  channels = {};
+  nextRuns.clear();
+  if (!fs.existsSync(REPORTS_FILE)) {
+    log('INFO', `No reports file at ${REPORTS_FILE} - scheduled reports disabled`);
+    return reports;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(REPORTS_FILE, 'utf8'));
+    baseUrl = String(config.baseUrl || '').replace(/\/+$/, '');
+    (config.channels || []).forEach((channel) => {
+      const notifier = getNotifier(channel.type);
+      if (!notifier || !notifier.sendReport) {
+        log('WARN', `Report channel ${channel.id} has type ${channel.type}, which cannot deliver reports - ignoring`);
+        return;
+      }
+      channels[channel.id] = channel;
+    });
+
+    const seen = new Set();
+    (config.reports || []).forEach((report) => {
+      if (!ID_PATTERN.test(String(report.id || '')) || seen.has(report.id)) {
+        log('WARN', `Report ${report.id || '(no id)'} needs a unique id of letters, digits, - and _ - ignoring`);
+        return;
+      }
+      const period = report.period || 'daily';
+      if (!PERIODS[period]) {
+        log('WARN', `Report ${report.id} has unknown period ${period} - ignoring`);
+        return;
+      }
+      let schedule;
+      try {
+        schedule = parseCron(report.schedule);
+      } catch (err) {
+        log('WARN', `Report ${report.id} has an invalid schedule - ignoring: ${err.message}`);
+        return;
+      }
+      const zones = (report.zones || ZONES.map((zone) => zone.id)).map(String).filter((zoneId) => {
+        if (ZONES.some((zone) => zone.id === zoneId)) return true;
+        log('WARN', `Report ${report.id} references unknown zone ${zoneId}`);
+        return false;
+      });
+
+      seen.add(report.id);
+      reports.push({
+        channels: [],
+        ...report,
+        name: report.name || report.id,
+        period,
+        schedule,
+        zones,
+      });
+    });
+    log('INFO', `Loaded ${reports.length} report schedule(s) and ${Object.keys(channels).length} channel(s)`);
+  } catch (err) {
+    log('ERROR', `Could not load reports from ${REPORTS_FILE}: ${err.message}`);
+    reports = [];
+  }
+  return reports;
+}
+
+function change(current, previous) {
+  return previous > 0 ? (current - previous) / previous : null;
+}
+
+// Plain summary of one zone's snapshot over a report period; the renderer works from this alone
+function buildSummary(report, zone, snapshot, now) {
+  const { durationMs } = PERIODS[report.period];
+  const from = new Date(now.getTime() - durationMs);
+  const totals = {};
+  const deltas = {};
+  TOTAL_KEYS.forEach((key) => {
+    totals[key] = snapshot.totals[key] || 0;
+    deltas[key] = snapshot.previousTotals ? change(totals[key], snapshot.previousTotals[key] || 0) : null;
+  });
+  const status = snapshot.httpStatus || {};
+  const share = (count, requests) => (requests > 0 ? (count || 0) / requests : null);
+  // Shares are of the listed countries; the geographic window can be longer than the period
+  const geoRequests = snapshot.geographic.reduce((sum, country) => sum + country.requests, 0);
+
+  return {
+    title: `${report.name} - ${zone.label}`,
+    reportId: report.id,
+    period: report.period,
+    zone: { id: zone.id, label: zone.label },
+    from: from.toISOString(),
+    to: now.toISOString(),
+    generatedAt: new Date().toISOString(),
+    stale: !!snapshot.stale,
+    totals,
+    previousTotals: snapshot.previousTotals,
+    deltas,
+    errorRates: {
+      '4xx': share(status['4xx'], totals.requests),
+      '5xx': share(status['5xx'], totals.requests),
+    },
+    topCountries: snapshot.geographic.map((country) => ({
+      country: country.country,
+      requests: country.requests,
+      share: share(country.requests, geoRequests),
+    })),
+    availability: monitorService.getSummaries()
+      .filter((target) => !target.zone || target.zone === zone.id)
+      .map((target) => ({
+        id: target.id,
+        name: target.name,
+        url: target.url,
+        ...monitorService.getStats(target.id, from),
+      })),
+    series: snapshot.timeseries.map((pt) => ({
+      datetime: pt.datetime,
+      requests: pt.requests,
+      cachedRequests: pt.cachedRequests,
+      share4xx: share(pt.statusBuckets['4xx'], pt.requests) || 0,
+      share5xx: share(pt.statusBuckets['5xx'], pt.requests) || 0,
+    })),
+  };
+}
+
+function fileStamp(date) {
+  return date.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+}
+
+function fileUrl(file) {
+  return baseUrl ? `${baseUrl}/api/reports/${file}` : null;
+}
+
+function deliver(report, delivery) {
+  report.channels.forEach((channelId) => {
+    const channel = channels[channelId];
+    if (!channel) {
+      log('WARN', `Report ${report.id} references unknown channel ${channelId}`);
+      return;
+    }
+    getNotifier(channel.type).sendReport(channel, delivery).catch((err) => {
+      log('ERROR', `Report delivery via ${channelId} failed: ${err.message}`);
+    });
+  });
+}
+
+// Renders one zone's report to HTML and PDF, records its metadata next to them and delivers it
+async function generateZoneReport(report, zone, now) {
+  const snapshot = await fetchAnalyticsData(zone.id, PERIODS[report.period].range);
+  if (!snapshot) throw new Error('Analytics data is still loading');
+  if (snapshot.error) throw new Error(snapshot.error);
+
+  const summary = buildSummary(report, zone, snapshot, now);
+  const html = renderHtml(summary);
+  const pdf = await renderPdf(summary);
+  const base = `${report.id}-${zone.id}-${fileStamp(now)}`;
+  const meta = {
+    id: base,
+    reportId: report.id,
+    name: report.name,
+    period: report.period,
+    zone: summary.zone,
+    from: summary.from,
+    to: summary.to,
+    generatedAt: summary.generatedAt,
+    stale: summary.stale,
+    files: { html: `${base}.html`, pdf: `${base}.pdf` },
+    totals: summary.totals,
+    deltas: summary.deltas,
+    errorRates: summary.errorRates,
+  };
+
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(REPORTS_DIR, meta.files.html), html);
+  fs.writeFileSync(path.join(REPORTS_DIR, meta.files.pdf), pdf);
+  fs.writeFileSync(path.join(REPORTS_DIR, `${base}.json`), JSON.stringify(meta, null, 2));
+  log('INFO', `Generated report ${base}`);
+
+  deliver(report, {
+    title: summary.title,
+    text: renderText(summary),
+    html,
+    pdf,
+    files: meta.files,
+    urls: { html: fileUrl(meta.files.html), pdf: fileUrl(meta.files.pdf) },
+    meta,
+  });
+  return meta;
+}
+
+// Generates a report for each of its zones in turn; a failing zone doesn't stop the others
+async function runReport(report, now = new Date()) {
+  if (running.has(report.id)) {
+    log('WARN', `Report ${report.id} is still running - skipping this run`);
+    return [];
+  }
+  running.add(report.id);
+  lastRuns.set(report.id, now.toISOString());
+  const generated = [];
+  try {
+    for (let i = 0; i < report.zones.length; i += 1) {
+      // Zones can be removed from the admin page after the schedules were loaded
+      const zone = ZONES.find((candidate) => candidate.id === report.zones[i]);
+      if (!zone) {
+        log('WARN', `Report ${report.id} skips zone ${report.zones[i]}, which is no longer configured`);
+      } else {
+        try {
+          generated.push(await generateZoneReport(report, zone, now));
+        } catch (error) {
+          log('ERROR', `Report ${report.id} for ${zone.label} failed: ${error.message}`);
+        }
+      }
+    }
+  } finally {
+    running.delete(report.id);
+  }
+  return generated;
+}
+
+function stopReports() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+// Checks the schedules at the top of every minute. A timer that fires a few ms early still
+// means the coming minute, so the time is rounded rather than truncated, and the quick follow-up
+// tick that lands on the same minute is skipped.
+function scheduleTick() {
+  timer = setTimeout(() => {
+    const now = new Date(Math.round(Date.now() / MINUTE_MS) * MINUTE_MS);
+    if (now.getTime() === lastTick) {
+      scheduleTick();
+      return;
+    }
+    lastTick = now.getTime();
+    reports.filter((report) => cronMatches(report.schedule, now)).forEach((report) => {
+      runReport(report, now).catch((error) => log('ERROR', `Report ${report.id} failed: ${error.message}`));
+    });
+    scheduleTick();
+  }, MINUTE_MS - (Date.now() % MINUTE_MS));
+}
+
+function startReports() {
+  stopReports();
+  loadReports();
+  if (reports.length > 0) scheduleTick();
+}
+
+function upcomingRun(report, now = new Date()) {
+  const cached = nextRuns.get(report.id);
+  if (cached && cached > now) return cached;
+  const next = nextRun(report.schedule, now);
+  nextRuns.set(report.id, next);
+  return next;
+}
+
+function getSchedules() {
+  return reports.map((report) => {
+    const next = upcomingRun(report);
+    return {
+      id: report.id,
+      name: report.name,
+      schedule: report.schedule.expression,
+      period: report.period,
+      zones: report.zones,
+      channels: report.channels,
+      lastRun: lastRuns.get(report.id) || null,
+      nextRun: next ? next.toISOString() : null,
+    };
+  });
+}
+
+// Metadata of generated reports, newest first
+function listReports({ zoneId, reportId } = {}) {
+  if (!fs.existsSync(REPORTS_DIR)) return [];
+  const listed = [];
+  fs.readdirSync(REPORTS_DIR).filter((file) => file.endsWith('.json')).forEach((file) => {
+    try {
+      const meta = JSON.parse(fs.readFileSync(path.join(REPORTS_DIR, file), 'utf8'));
+      if (zoneId && meta.zone.id !== zoneId) return;
+      if (reportId && meta.reportId !== reportId) return;
+      listed.push(meta);
+    } catch (err) {
+      log('WARN', `Skipping unreadable report metadata ${file}: ${err.message}`);
+    }
+  });
+  return listed.sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+}
+
+// Absolute path of a generated report file, or null if the name isn't one of ours
+function getReportFile(file) {
+  if (!FILE_PATTERN.test(file)) return null;
+  const fullPath = path.join(REPORTS_DIR, file);
+  return fs.existsSync(fullPath) ? fullPath : null;
+}
+
+// Deletes report files older than the retention window
+function pruneReports() {
+  if (!fs.existsSync(REPORTS_DIR)) return;
+  const cutoff = Date.now() - REPORT_RETENTION_DAYS * DAY_MS;
+  fs.readdirSync(REPORTS_DIR).forEach((file) => {
+    const fullPath = path.join(REPORTS_DIR, file);
+    try {
+      if (fs.statSync(fullPath).mtimeMs < cutoff) fs.unlinkSync(fullPath);
+    } catch (err) {
+      log('ERROR', `Could not prune report file ${file}: ${err.message}`);
+    }
+  });
+}
+
+module.exports = {
+  PERIODS,
+  loadReports,
+  startReports,
+  stopReports,
+  runReport,
+  buildSummary,
+  getSchedules,
+  listReports,
+  getReportFile,
+  pruneReports,
+};
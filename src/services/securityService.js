@@ -0,0 +1,124 @@
+const { buildDatasetQuery } = require('../graphqlQuery');
+
+// Security view built from firewall events (WAF, custom rules, rate limiting, bot and
+// security-level mitigations). Two queries per refresh: events per time bucket and action,
+// and the busiest action/rule/client/path combinations, rolled up into the top lists.
+const SECURITY_DATASET = 'firewallEventsAdaptiveGroups';
+const TIMELINE_LIMIT = 500;
+const EVENT_LIMIT = 1000;
+const TOP_N = 10;
+const EVENT_DIMENSIONS = [
+  'action', 'source', 'ruleId', 'description', 'clientIP', 'clientAsn', 'clientASNDescription',
+  'clientCountryName', 'clientRequestPath',
+];
+
+function timeBucket(rangeKey) {
+  return rangeKey === '1h'
+    ? { dimension: 'datetimeFiveMinutes', stepMs: 5 * 60 * 1000 }
+    : { dimension: 'datetimeHour', stepMs: 60 * 60 * 1000 };
+}
+
+function buildSecurityRequests(zoneId, rangeKey, since, until) {
+  const { dimension } = timeBucket(rangeKey);
+  const window = {
+    dataset: SECURITY_DATASET, zoneTag: zoneId, since, until, fields: 'count',
+  };
+  return {
+    timeline: buildDatasetQuery({
+      ...window, limit: TIMELINE_LIMIT, dimensions: [dimension, 'action'], orderBy: `${dimension}_ASC`,
+    }),
+    events: buildDatasetQuery({
+      ...window, limit: EVENT_LIMIT, dimensions: EVENT_DIMENSIONS, orderBy: 'count_DESC',
+    }),
+  };
+}
+
+// Mitigation actions fall in two groups; log, allow, skip and the like count as 'other'
+function actionClass(action) {
+  const name = String(action || '').toLowerCase();
+  if (name.includes('challenge')) return 'challenged';
+  if (['block', 'drop', 'connectionclose', 'connection_close'].includes(name)) return 'blocked';
+  return 'other';
+}
+
+function topBy(rows, keyOf, describe) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = keyOf(row.dimensions);
+    if (!key) return;
+    const entry = groups.get(key) || { ...describe(row.dimensions), events: 0 };
+    entry.events += row.count || 0;
+    groups.set(key, entry);
+  });
+  return [...groups.values()].sort((a, b) => b.events - a.events).slice(0, TOP_N);
+}
+
+// Every bucket in [since, until) with blocked/challenged/other counts, zero-filled so the
+// chart has a bar slot for quiet periods too
+function buildTimeline(rows, rangeKey, since, until) {
+  const { dimension, stepMs } = timeBucket(rangeKey);
+  const buckets = new Map();
+  const first = Math.floor(since.getTime() / stepMs) * stepMs;
+  for (let t = first; t < until.getTime(); t += stepMs) {
+    buckets.set(t, {
+      datetime: new Date(t).toISOString(), blocked: 0, challenged: 0, other: 0,
+    });
+  }
+  rows.forEach((row) => {
+    const t = new Date(row.dimensions[dimension]).getTime();
+    const bucket = buckets.get(t);
+    if (bucket) bucket[actionClass(row.dimensions.action)] += row.count || 0;
+  });
+  return [...buckets.values()];
+}
+
+function summarizeSecurity(timelineRows, eventRows, rangeKey, since, until) {
+  const actions = {};
+  timelineRows.forEach((row) => {
+    const { action } = row.dimensions;
+    actions[action] = (actions[action] || 0) + (row.count || 0);
+  });
+  const timeline = buildTimeline(timelineRows, rangeKey, since, until);
+  const totals = timeline.reduce((acc, bucket) => {
+    acc.blocked += bucket.blocked;
+    acc.challenged += bucket.challenged;
+    acc.other += bucket.other;
+    acc.events += bucket.blocked + bucket.challenged + bucket.other;
+    return acc;
+  }, {
+    events: 0, blocked: 0, challenged: 0, other: 0,
+  });
+
+  return {
+    since: since.toISOString(),
+    until: until.toISOString(),
+    totals,
+    actions,
+    timeline,
+    topRules: topBy(eventRows, (d) => `${d.source}:${d.ruleId || ''}`, (d) => ({
+      ruleId: d.ruleId || null,
+      description: d.description || d.source,
+      source: d.source,
+    })),
+    topIps: topBy(eventRows, (d) => d.clientIP, (d) => ({
+      ip: d.clientIP,
+      country: d.clientCountryName,
+      asn: d.clientAsn,
+      asnName: d.clientASNDescription,
+    })),
+    topAsns: topBy(eventRows, (d) => d.clientAsn, (d) => ({
+      asn: d.clientAsn,
+      name: d.clientASNDescription,
+    })),
+    topPaths: topBy(eventRows, (d) => d.clientRequestPath, (d) => ({ path: d.clientRequestPath })),
+    // The top lists are built from the busiest combinations only; when the query hit its limit
+    // the long tail is missing and counts are lower bounds
+    truncated: eventRows.length >= EVENT_LIMIT,
+  };
+}
+
+module.exports = {
+  SECURITY_DATASET,
+  buildSecurityRequests,
+  summarizeSecurity,
+};
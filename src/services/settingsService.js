@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const {
+  SETTINGS, ENV_SETTINGS, SETTINGS_FILE, ZONES, CLOUDFLARE_CONFIG, normalizeZone, readSettingsFile,
+} = require('../config');
+const { log } = require('../logger');
+const layoutService = require('./layoutService');
+
+const SETTING_KEYS = ['refreshInterval', 'theme', 'zoneRotateInterval', 'defaultLayout', 'zones'];
+const MIN_REFRESH_INTERVAL = 10;
+const MAX_REFRESH_INTERVAL = 3600;
+// Zone ids end up in file names (history, reports), so keep them to a safe character set
+const ZONE_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+// Themes are whatever public/themes.css defines
+const THEMES = Array.from(new Set(
+  Array.from(
+    fs.readFileSync(path.join(__dirname, '..', '..', 'public', 'themes.css'), 'utf8').matchAll(/\[data-theme="([^"]+)"\]/g),
+    (match) => match[1],
+  ),
+)).sort();
+
+// Emits 'change' with the list of changed keys after settings are saved or reset
+const settingsEvents = new EventEmitter();
+
+// What the settings file currently overrides
+let overrides = readSettingsFile();
+
+function isInteger(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function validateZones(zones, problems) {
+  if (!Array.isArray(zones) || zones.length === 0) {
+    problems.push('zones must be a non-empty array');
+    return;
+  }
+  const seen = new Set();
+  zones.forEach((zone, i) => {
+    const where = `zones[${i}]`;
+    if (!zone || typeof zone !== 'object' || Array.isArray(zone)) {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (!ZONE_ID_PATTERN.test(String(zone.id || ''))) {
+      problems.push(`${where}.id must be a zone id`);
+    } else if (seen.has(String(zone.id))) {
+      problems.push(`${where}.id ${zone.id} is listed twice`);
+    }
+    seen.add(String(zone.id));
+    if (zone.label !== undefined && typeof zone.label !== 'string') problems.push(`${where}.label must be a string`);
+    if (zone.siteUrl && !/^https?:\/\/[^\s]+$/.test(String(zone.siteUrl))) {
+      problems.push(`${where}.siteUrl must be an http(s) URL`);
+    }
+    if (zone.apiToken !== undefined && typeof zone.apiToken !== 'string') problems.push(`${where}.apiToken must be a string`);
+  });
+}
+
+// Human-readable problems with a settings update; fields left out keep their value
+function validateSettings(update) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) return ['Settings must be a JSON object'];
+  const problems = [];
+  Object.keys(update).filter((key) => !SETTING_KEYS.includes(key)).forEach((key) => {
+    problems.push(`Unknown setting ${key}`);
+  });
+  if (update.refreshInterval !== undefined && !isInteger(update.refreshInterval, MIN_REFRESH_INTERVAL, MAX_REFRESH_INTERVAL)) {
+    problems.push(`refreshInterval must be a whole number of seconds from ${MIN_REFRESH_INTERVAL} to ${MAX_REFRESH_INTERVAL}`);
+  }
+  if (update.theme !== undefined && !THEMES.includes(update.theme)) {
+    problems.push(`theme must be one of ${THEMES.join(', ')}`);
+  }
+  if (update.zoneRotateInterval !== undefined && !isInteger(update.zoneRotateInterval, 0, 86400)) {
+    problems.push('zoneRotateInterval must be a whole number of seconds, 0 to disable');
+  }
+  if (update.defaultLayout !== undefined && !layoutService.listLayouts().some((layout) => layout.name === update.defaultLayout)) {
+    problems.push(`defaultLayout ${update.defaultLayout} is not an available layout`);
+  }
+  if (update.zones !== undefined) validateZones(update.zones, problems);
+  return problems;
+}
+
+// config.js applied the settings file before anything checked it. Values a save would have
+// rejected, such as a hand-edited theme or a layout since deleted, fall back to the environment.
+function dropInvalidOverrides() {
+  Object.keys(overrides).filter((key) => key !== 'zones').forEach((key) => {
+    const problems = validateSettings({ [key]: overrides[key] });
+    if (problems.length === 0) return;
+    log('WARN', `Ignoring ${key} from ${SETTINGS_FILE}: ${problems.join('; ')}`);
+    if (SETTING_KEYS.includes(key)) SETTINGS[key] = ENV_SETTINGS[key];
+    else delete SETTINGS[key];
+    delete overrides[key];
+  });
+}
+
+dropInvalidOverrides();
+
+// Zone tokens are write-only: a zone saved without apiToken keeps the one it has. Only tokens
+// other than CLOUDFLARE_API_TOKEN are written to the file.
+function mergeZones(zones) {
+  return zones.map((zone) => {
+    const current = ZONES.find((candidate) => candidate.id === String(zone.id));
+    return normalizeZone({
+      pricing: current ? current.pricing : null,
+      ...zone,
+      apiToken: zone.apiToken || (current ? current.apiToken : undefined),
+    });
+  });
+}
+
+function storedZone(zone) {
+  const stored = { id: zone.id, label: zone.label, siteUrl: zone.siteUrl };
+  if (zone.apiToken !== CLOUDFLARE_CONFIG.apiToken) stored.apiToken = zone.apiToken;
+  if (zone.pricing) stored.pricing = zone.pricing;
+  return stored;
+}
+
+function saveOverrides() {
+  if (Object.keys(overrides).length === 0) {
+    if (fs.existsSync(SETTINGS_FILE)) fs.unlinkSync(SETTINGS_FILE);
+    return;
+  }
+  fs.mkdirSync(path.dirname(SETTINGS_FILE), { recursive: true });
+  // The file can hold API tokens, so only the owner may read it
+  const tmpFile = `${SETTINGS_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, `${JSON.stringify(overrides, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tmpFile, SETTINGS_FILE);
+}
+
+function zonesKey(zones) {
+  return JSON.stringify(zones.map((zone) => [zone.id, zone.label, zone.siteUrl, zone.apiToken]));
+}
+
+// Applies values to the live settings and returns the keys that actually changed
+function applySettings(values) {
+  const changed = [];
+  Object.keys(values).forEach((key) => {
+    if (key === 'zones') {
+      if (zonesKey(values.zones) === zonesKey(ZONES)) return;
+      ZONES.splice(0, ZONES.length, ...values.zones);
+    } else {
+      if (values[key] === SETTINGS[key]) return;
+      SETTINGS[key] = values[key];
+    }
+    changed.push(key);
+  });
+  return changed;
+}
+
+function announce(changed) {
+  if (changed.length === 0) return;
+  log('INFO', `Settings changed: ${changed.join(', ')}`);
+  settingsEvents.emit('change', changed);
+}
+
+// Saves a validated update to the settings file and applies it live
+function updateSettings(update) {
+  const values = { ...update };
+  if (values.zones) values.zones = mergeZones(values.zones);
+
+  Object.keys(values).forEach((key) => {
+    overrides[key] = key === 'zones' ? values.zones.map(storedZone) : values[key];
+  });
+  saveOverrides();
+  const changed = applySettings(values);
+  announce(changed);
+  return changed;
+}
+
+// Drops every saved override and goes back to the environment. Zones only come from the
+// settings file when the environment defines none, so then they are kept.
+function resetSettings() {
+  const values = { ...ENV_SETTINGS, zones: ENV_SETTINGS.zones.map((zone) => ({ ...zone })) };
+  overrides = ENV_SETTINGS.zones.length === 0 && overrides.zones ? { zones: overrides.zones } : {};
+  if (overrides.zones) delete values.zones;
+  saveOverrides();
+  const changed = applySettings(values);
+  announce(changed);
+  return changed;
+}
+
+// Settings as shown on the admin page; zone API tokens are never returned
+function getSettings() {
+  return {
+    settings: {
+      refreshInterval: SETTINGS.refreshInterval,
+      theme: SETTINGS.theme,
+      zoneRotateInterval: SETTINGS.zoneRotateInterval,
+      defaultLayout: SETTINGS.defaultLayout,
+      zones: ZONES.map((zone) => ({
+        id: zone.id,
+        label: zone.label,
+        siteUrl: zone.siteUrl,
+        ownToken: zone.apiToken !== CLOUDFLARE_CONFIG.apiToken,
+      })),
+    },
+    overridden: Object.keys(overrides).filter((key) => SETTING_KEYS.includes(key)),
+    options: {
+      themes: THEMES,
+      layouts: layoutService.listLayouts().map((layout) => layout.name),
+      refreshInterval: { min: MIN_REFRESH_INTERVAL, max: MAX_REFRESH_INTERVAL },
+    },
+  };
+}
+
+// The part of the settings every display follows, pushed over the live stream on change
+function getDisplaySettings() {
+  return {
+    theme: SETTINGS.theme,
+    refreshInterval: SETTINGS.refreshInterval,
+    zoneRotateInterval: SETTINGS.zoneRotateInterval,
+    defaultLayout: SETTINGS.defaultLayout,
+    zones: ZONES.map((zone) => ({ id: zone.id, label: zone.label, siteUrl: zone.siteUrl })),
+  };
+}
+
+module.exports = {
+  THEMES,
+  settingsEvents,
+  validateSettings,
+  updateSettings,
+  resetSettings,
+  getSettings,
+  getDisplaySettings,
+};
@@ -0,0 +1,86 @@
+const { log } = require('../logger');
+
+const HEARTBEAT_INTERVAL = 15000;
+const CLIENT_RETRY_MS = 5000;
+
+// Connected Server-Sent Events clients: { res, zoneId, range, displayId, heartbeat }
+const clients = new Set();
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function addClient(req, res, zoneId, range, initialPayload, displayId = null) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  const client = {
+    res,
+    zoneId,
+    range,
+    displayId,
+    heartbeat: setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), HEARTBEAT_INTERVAL),
+  };
+  clients.add(client);
+  log('INFO', `Stream client connected for zone ${zoneId} (${range}) (${clients.size} total)`);
+
+  if (initialPayload) writeEvent(res, 'snapshot', initialPayload);
+
+  req.on('close', () => {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+    log('INFO', `Stream client disconnected for zone ${zoneId} (${clients.size} total)`);
+  });
+}
+
+function broadcast(zoneId, range, payload) {
+  clients.forEach((client) => {
+    if (client.zoneId === zoneId && client.range === range) writeEvent(client.res, 'snapshot', payload);
+  });
+}
+
+// Sends an event to every client regardless of zone and range, e.g. changed display settings.
+// Returns the number of clients reached.
+function broadcastAll(event, payload) {
+  clients.forEach((client) => writeEvent(client.res, event, payload));
+  return clients.size;
+}
+
+// Sends an event to the connections of one registered display
+function sendToDisplay(displayId, event, payload) {
+  let sent = 0;
+  clients.forEach((client) => {
+    if (client.displayId !== displayId) return;
+    writeEvent(client.res, event, payload);
+    sent += 1;
+  });
+  return sent;
+}
+
+// Distinct zone/range pairs that currently have listeners
+function getSubscriptions() {
+  const seen = new Map();
+  clients.forEach((client) => {
+    seen.set(`${client.zoneId}:${client.range}`, { zoneId: client.zoneId, range: client.range });
+  });
+  return Array.from(seen.values());
+}
+
+function getClientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  addClient,
+  broadcast,
+  broadcastAll,
+  sendToDisplay,
+  getSubscriptions,
+  getClientCount,
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Only the tail of a deploy's output is kept; the start is the least interesting part
+const MAX_OUTPUT_CHARS = 64 * 1024;
+const FINISHED = new Set(['succeeded', 'failed', 'interrupted']);
+
+function readHistory(file) {
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(data.deployments) ? data.deployments : [];
+}
+
+// A deploy as listed: everything but the captured output
+function summarize(deployment) {
+  const { output, ...summary } = deployment;
+  return summary;
+}
+
+/**
+ * Records deploys in a JSON file and runs them one at a time, so two quick pushes can't stop
+ * and rebuild the containers at the same time. Deployments are
+ * { id, trigger, route, provider, ref, commit, author, message, script, args, rollbackOf, status,
+ *   queuedAt, startedAt, finishedAt, exitCode, output }, with status queued, running, succeeded,
+ * failed or interrupted. Scripts are resolved against `baseDir`.
+ */
+function createDeploymentQueue({
+  file, baseDir, historyLimit = 50, log,
+}) {
+  let deployments = [];
+  try {
+    deployments = readHistory(file);
+  } catch (err) {
+    log('ERROR', `Could not read deployment history from ${file}: ${err.message}`);
+  }
+  // Deploys cut short by a restart of the listener never finished
+  deployments.filter((deployment) => !FINISHED.has(deployment.status)).forEach((deployment) => {
+    deployment.status = 'interrupted';
+    deployment.finishedAt = deployment.finishedAt || new Date().toISOString();
+  });
+  let lastId = deployments.reduce((max, deployment) => Math.max(max, deployment.id), 0);
+  const waiting = [];
+  let current = null;
+
+  function save() {
+    const finished = deployments.filter((deployment) => FINISHED.has(deployment.status));
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - historyLimit)));
+    deployments = deployments.filter((deployment) => !dropped.has(deployment));
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, `${JSON.stringify({ deployments }, null, 2)}\n`);
+      fs.renameSync(tmpFile, file);
+    } catch (err) {
+      log('ERROR', `Could not save deployment history to ${file}: ${err.message}`);
+    }
+  }
+
+  function finish(deployment, status, exitCode) {
+    Object.assign(deployment, { status, exitCode, finishedAt: new Date().toISOString() });
+    save();
+    current = null;
+    runNext();
+  }
+
+  function appendOutput(deployment, text) {
+    deployment.output = (deployment.output + text).slice(-MAX_OUTPUT_CHARS);
+  }
+
+  function run(deployment) {
+    current = deployment;
+    Object.assign(deployment, { status: 'running', startedAt: new Date().toISOString() });
+    save();
+    log('INFO', `Starting deployment #${deployment.id} of ${deployment.commit || 'the latest commit'} (${deployment.trigger})`);
+
+    const child = spawn('bash', [path.resolve(baseDir, deployment.script), ...deployment.args], {
+      cwd: baseDir,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: {
+        ...process.env,
+        DEPLOY_ID: String(deployment.id),
+        DEPLOY_COMMIT: deployment.commit || '',
+        DEPLOY_REF: deployment.ref || '',
+      },
+    });
+
+    // Tools like docker-compose report progress on stderr, so both streams log at INFO
+    ['stdout', 'stderr'].forEach((name) => {
+      child[name].on('data', (data) => {
+        appendOutput(deployment, data.toString());
+        const output = data.toString().trim();
+        if (output) log('INFO', output, { deployment: deployment.id, stream: name });
+      });
+    });
+
+    child.on('close', (code) => {
+      if (deployment !== current) return;
+      if (code === 0) {
+        log('INFO', `Deployment #${deployment.id} completed successfully`);
+      } else {
+        log('ERROR', `Deployment #${deployment.id} failed with exit code ${code}`);
+      }
+      finish(deployment, code === 0 ? 'succeeded' : 'failed', code);
+    });
+    child.on('error', (error) => {
+      if (deployment !== current) return;
+      log('ERROR', `Failed to start deployment #${deployment.id}: ${error.message}`);
+      appendOutput(deployment, `${error.message}\n`);
+      finish(deployment, 'failed', null);
+    });
+  }
+
+  function runNext() {
+    if (current || waiting.length === 0) return;
+    run(waiting.shift());
+  }
+
+  // Queues a deploy and returns its record
+  function enqueue({
+    trigger, route = null, provider = null, ref = null, commit = null, author = null, message = null,
+    script, args = [], rollbackOf = null,
+  }) {
+    lastId += 1;
+    const deployment = {
+      id: lastId,
+      trigger,
+      route,
+      provider,
+      ref,
+      commit,
+      author,
+      message,
+      script,
+      args,
+      rollbackOf,
+      status: 'queued',
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      exitCode: null,
+      output: '',
+    };
+    deployments.push(deployment);
+    save();
+    if (current) log('INFO', `Deployment #${deployment.id} queued behind #${current.id}`);
+    waiting.push(deployment);
+    runNext();
+    return deployment;
+  }
+
+  function getDeployment(id) {
+    return deployments.find((deployment) => deployment.id === id) || null;
+  }
+
+  // Newest first, without output
+  function listDeployments() {
+    return deployments.slice().reverse().map(summarize);
+  }
+
+  function getState() {
+    return { running: current ? current.id : null, queued: waiting.length };
+  }
+
+  return {
+    enqueue,
+    getDeployment,
+    listDeployments,
+    getState,
+  };
+}
+
+module.exports = {
+  createDeploymentQueue,
+  summarize,
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Git's way of saying a ref was deleted
+const ZERO_COMMIT = /^0+$/;
+
+// Compares digests so neither the length nor the content of a secret leaks through timing
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function hmacHex(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function header(headers, name) {
+  const value = headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Splits refs/heads/<branch> and refs/tags/<tag>
+function parseRef(ref) {
+  const match = /^refs\/(heads|tags)\/(.+)$/.exec(String(ref || ''));
+  if (!match) return { branch: null, tag: null };
+  return match[1] === 'heads' ? { branch: match[2], tag: null } : { branch: null, tag: match[2] };
+}
+
+function formatAuthor(author) {
+  if (!author || !author.name) return null;
+  return author.email ? `${author.name} <${author.email}>` : author.name;
+}
+
+// The GitHub-shaped push payload GitHub and Gitea both send
+function parseGithubPush(payload) {
+  const commits = payload.commits || [];
+  const lastCommit = payload.head_commit || commits[commits.length - 1] || null;
+  return {
+    ref: payload.ref,
+    commit: payload.after || (lastCommit ? lastCommit.id : null),
+    commitCount: commits.length,
+    author: lastCommit ? formatAuthor(lastCommit.author) : null,
+    message: lastCommit ? String(lastCommit.message || '').split('\n')[0] : null,
+    repository: payload.repository ? payload.repository.full_name : null,
+  };
+}
+
+/**
+ * Provider adapters. Each one recognises its requests from the headers, checks the request
+ * against its secret and turns the payload into a push:
+ * { kind: 'push' | 'tag' | null, ref, branch, tag, commit, commitCount, author, message,
+ *   repository, deliveryId, event }. A kind of null means the event doesn't deploy.
+ */
+const PROVIDERS = {
+  // Gitea also sends X-GitHub-Event, so it is recognised first
+  gitea: {
+    secretEnv: 'GITEA_WEBHOOK_SECRET',
+    detect: (headers) => !!header(headers, 'x-gitea-event'),
+    verify: (headers, body, secret) => {
+      const signature = header(headers, 'x-gitea-signature');
+      return !!signature && safeEqual(signature, hmacHex(secret, body));
+    },
+    parse: (headers, payload) => ({
+      event: header(headers, 'x-gitea-event'),
+      deliveryId: header(headers, 'x-gitea-delivery') || null,
+      isPush: header(headers, 'x-gitea-event') === 'push',
+      ...parseGithubPush(payload),
+    }),
+  },
+  gitlab: {
+    secretEnv: 'GITLAB_WEBHOOK_TOKEN',
+    detect: (headers) => !!header(headers, 'x-gitlab-event'),
+    // GitLab sends the configured secret token itself rather than a signature
+    verify: (headers, body, secret) => {
+      const token = header(headers, 'x-gitlab-token');
+      return !!token && safeEqual(token, secret);
+    },
+    parse: (headers, payload) => {
+      const commits = payload.commits || [];
+      const lastCommit = commits.find((commit) => commit.id === payload.checkout_sha) || commits[commits.length - 1] || null;
+      const event = header(headers, 'x-gitlab-event');
+      return {
+        event,
+        deliveryId: header(headers, 'x-gitlab-event-uuid') || null,
+        isPush: event === 'Push Hook' || event === 'Tag Push Hook',
+        ref: payload.ref,
+        commit: payload.checkout_sha || payload.after || null,
+        commitCount: payload.total_commits_count || commits.length,
+        author: lastCommit ? formatAuthor(lastCommit.author) : payload.user_name || null,
+        message: lastCommit ? String(lastCommit.message || '').split('\n')[0] : null,
+        repository: payload.project ? payload.project.path_with_namespace : null,
+      };
+    },
+  },
+  github: {
+    secretEnv: 'GITHUB_WEBHOOK_SECRET',
+    detect: (headers) => !!header(headers, 'x-github-event'),
+    verify: (headers, body, secret) => {
+      const signature = header(headers, 'x-hub-signature-256');
+      return !!signature && safeEqual(signature, `sha256=${hmacHex(secret, body)}`);
+    },
+    parse: (headers, payload) => ({
+      event: header(headers, 'x-github-event'),
+      deliveryId: header(headers, 'x-github-delivery') || null,
+      isPush: header(headers, 'x-github-event') === 'push',
+      ...parseGithubPush(payload),
+    }),
+  },
+};
+
+// Name of the provider that sent a request, or null
+function detectProvider(headers) {
+  return Object.keys(PROVIDERS).find((name) => PROVIDERS[name].detect(headers)) || null;
+}
+
+// Normalised push for a provider's payload; deleted refs and non-push events have kind null
+function parsePush(provider, headers, payload) {
+  const { isPush, ...push } = PROVIDERS[provider].parse(headers, payload);
+  const { branch, tag } = parseRef(push.ref);
+  const deleted = !push.commit || ZERO_COMMIT.test(push.commit);
+  let kind = null;
+  if (isPush && !deleted && tag) kind = 'tag';
+  if (isPush && !deleted && branch) kind = 'push';
+  return {
+    ...push, kind, branch, tag, provider,
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  safeEqual,
+  detectProvider,
+  parsePush,
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { PROVIDERS } = require('./providers');
+
+const KINDS = ['push', 'tag'];
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Used when there is no routes file: what the listener always did
+const DEFAULT_ROUTES = [
+  {
+    id: 'main', provider: 'github', event: 'push', branch: 'main', script: 'webhook-deploy.sh', args: [],
+  },
+];
+
+// Branch and tag patterns are globs where * matches any run of characters, e.g. release/* or v*
+function globToRegExp(pattern) {
+  const escaped = String(pattern).split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+// Problems with one route from the routes file
+function validateRoute(route, baseDir) {
+  const problems = [];
+  if (!ID_PATTERN.test(String(route.id || ''))) problems.push('id must be letters, digits, - and _');
+  if (route.provider !== undefined && !PROVIDERS[route.provider]) {
+    problems.push(`provider must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (route.event !== undefined && !KINDS.includes(route.event)) problems.push(`event must be one of ${KINDS.join(', ')}`);
+  if (route.branch !== undefined && route.event === 'tag') problems.push('branch only applies to push routes');
+  if (route.tag !== undefined && route.event !== 'tag') problems.push('tag only applies to tag routes');
+  if (typeof route.script !== 'string' || !fs.existsSync(path.resolve(baseDir, route.script))) {
+    problems.push(`script ${route.script} does not exist`);
+  }
+  if (route.args !== undefined && !(Array.isArray(route.args) && route.args.every((arg) => typeof arg === 'string'))) {
+    problems.push('args must be a list of strings');
+  }
+  return problems;
+}
+
+/**
+ * Loads deploy routes from `file`: [{ id, provider, event, branch | tag, repository, script, args }].
+ * provider and repository left out match any; event defaults to push; branch and tag default to *.
+ * Invalid routes are skipped with a warning.
+ */
+function loadRoutes(file, { baseDir, log }) {
+  if (!fs.existsSync(file)) {
+    log('INFO', `No webhook routes file at ${file} - deploying pushes to main from GitHub`);
+    return DEFAULT_ROUTES.map((route) => compileRoute(route, baseDir));
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    log('ERROR', `Could not load webhook routes from ${file}: ${err.message}`);
+    return [];
+  }
+
+  const seen = new Set();
+  const routes = [];
+  (Array.isArray(config.routes) ? config.routes : []).forEach((route) => {
+    const problems = validateRoute(route, baseDir);
+    if (seen.has(route.id)) problems.push('id is used twice');
+    if (problems.length > 0) {
+      log('WARN', `Webhook route ${route.id || '(no id)'} ignored: ${problems.join('; ')}`);
+      return;
+    }
+    seen.add(route.id);
+    routes.push(compileRoute(route, baseDir));
+  });
+  log('INFO', `Loaded ${routes.length} webhook route(s) from ${file}`);
+  return routes;
+}
+
+function compileRoute(route, baseDir) {
+  const event = route.event || 'push';
+  const pattern = (event === 'tag' ? route.tag : route.branch) || '*';
+  return {
+    id: route.id,
+    provider: route.provider || null,
+    event,
+    pattern,
+    matcher: globToRegExp(pattern),
+    repository: route.repository || null,
+    script: route.script,
+    scriptPath: path.resolve(baseDir, route.script),
+    args: route.args || [],
+  };
+}
+
+// The first route a normalised push (see providers.parsePush) matches, or null
+function matchRoute(routes, push) {
+  if (!push.kind) return null;
+  const name = push.kind === 'tag' ? push.tag : push.branch;
+  return routes.find((route) => route.event === push.kind
+    && (!route.provider || route.provider === push.provider)
+    && (!route.repository || route.repository === push.repository)
+    && route.matcher.test(name)) || null;
+}
+
+module.exports = {
+  loadRoutes,
+  matchRoute,
+};
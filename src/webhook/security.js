@@ -0,0 +1,110 @@
+const net = require('net');
+
+// Errors that end a request carry the HTTP status to answer with
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Reads a request body into a Buffer, giving up with a 413 as soon as it passes maxBytes
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > maxBytes) {
+      reject(requestError(413, `Body of ${declared} bytes exceeds the ${maxBytes} byte limit`));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', (chunk) => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        failed = true;
+        reject(requestError(413, `Body exceeds the ${maxBytes} byte limit`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!failed) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', (error) => {
+      if (failed) return;
+      failed = true;
+      reject(requestError(400, `Request error: ${error.message}`));
+    });
+  });
+}
+
+// IPv4 clients of a dual-stack socket show up as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(String(ip || ''));
+  return mapped ? mapped[1] : String(ip || '');
+}
+
+/**
+ * Parses a comma list of addresses and CIDR ranges (IPv4 or IPv6) into a net.BlockList used as
+ * an allowlist. Returns null for an empty list; throws on entries that aren't addresses or ranges.
+ */
+function parseAllowlist(list) {
+  const entries = String(list || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+  if (entries.length === 0) return null;
+  const allowlist = new net.BlockList();
+  entries.forEach((entry) => {
+    const [address, prefixText] = entry.split('/');
+    const family = net.isIP(address);
+    const maxPrefix = family === 6 ? 128 : 32;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!family || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+      throw new Error(`${entry} is not an IP address or CIDR range`);
+    }
+    allowlist.addSubnet(address, prefix, family === 6 ? 'ipv6' : 'ipv4');
+  });
+  return allowlist;
+}
+
+function isAllowed(allowlist, ip) {
+  if (!allowlist) return true;
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  return !!family && allowlist.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Remembers request ids (delivery ids, body digests) for windowMs so a captured request can't
+ * be sent again. Only the newest maxEntries ids are kept, which bounds memory.
+ */
+function createReplayGuard(windowMs, maxEntries = 10000) {
+  // Delivery id -> time first seen; Map keeps insertion order, so the oldest come first
+  const seen = new Map();
+
+  function prune(now) {
+    for (const [id, time] of seen) {
+      if (now - time < windowMs && seen.size <= maxEntries) break;
+      seen.delete(id);
+    }
+  }
+
+  // True when none of a request's ids were seen within the window, and remembers them;
+  // false for a replay, which is not remembered
+  function accept(ids, now = Date.now()) {
+    prune(now);
+    if (ids.some((id) => seen.has(id))) return false;
+    ids.forEach((id) => seen.set(id, now));
+    return true;
+  }
+
+  return { accept };
+}
+
+module.exports = {
+  readBody,
+  parseAllowlist,
+  isAllowed,
+  createReplayGuard,
+};
@@ -0,0 +1,136 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const {
+  describe, it, before, after,
+} = require('node:test');
+const { configureEnvironment } = require('./support/environment');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A local port nothing listens on, so checks against it fail at once with ECONNREFUSED
+async function closedPort() {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Collects the notifications a webhook channel posts
+async function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      res.end();
+    });
+  }).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { server, received, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+function hourPoint(hoursAgo, fiveXx) {
+  const hour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - hoursAgo * HOUR_MS;
+  return {
+    datetime: new Date(hour).toISOString(),
+    requests: 1000,
+    statusBuckets: {
+      '2xx': 1000 - fiveXx, '3xx': 0, '4xx': 0, '5xx': fiveXx,
+    },
+  };
+}
+
+describe('alert rules', () => {
+  let dataDir;
+  let alertService;
+  let monitorService;
+  let receiver;
+  const zone = { id: 'zone-normal', label: 'normal.example.com' };
+
+  before(async () => {
+    // Cloudflare is never called here; the URL only has to be set
+    dataDir = configureEnvironment('http://127.0.0.1:1');
+    receiver = await startReceiver();
+    fs.writeFileSync(path.join(dataDir, 'alerts.json'), JSON.stringify({
+      channels: [{ id: 'hook', type: 'webhook', url: receiver.url }],
+      rules: [
+        {
+          id: 'site-offline', metric: 'siteStatus.status', operator: '==', threshold: 'offline',
+        },
+        {
+          id: '5xx-latest', metric: 'latest.statusBuckets.5xx', operator: '>', threshold: 50,
+        },
+        {
+          id: '5xx-rate', metric: 'rates.5xx', operator: '>', threshold: 0.05, cooldown: 3600, channels: ['hook'],
+        },
+      ],
+    }));
+    fs.writeFileSync(path.join(dataDir, 'monitors.json'), JSON.stringify({
+      targets: [{
+        id: 'homepage', url: `http://127.0.0.1:${await closedPort()}/`, zone: zone.id, interval: 3600, timeout: 1,
+      }],
+    }));
+    alertService = require('../src/services/alertService');
+    monitorService = require('../src/services/monitorService');
+    alertService.loadRules();
+  });
+
+  after(async () => {
+    monitorService.stopMonitors();
+    await new Promise((resolve) => receiver.server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const active = (ruleId) => alertService.getActiveAlerts(zone.id).some((alert) => alert.ruleId === ruleId);
+
+  it('fires availability rules from uptime checks without an analytics snapshot', async () => {
+    const checked = once(monitorService.monitorEvents, 'result');
+    monitorService.startMonitors();
+    await checked;
+
+    alertService.evaluateAvailability(zone);
+    assert.ok(active('site-offline'));
+  });
+
+  it('leaves availability rules alone when a snapshot is evaluated', () => {
+    alertService.evaluate(zone, {
+      siteStatus: { status: 'online' }, timeseries: [], totals: { requests: 0 }, httpStatus: {},
+    });
+    assert.ok(active('site-offline'));
+  });
+
+  it('reads latest from the last completed hour', () => {
+    // The hour in progress is over the threshold, the last full one is not
+    alertService.evaluate(zone, { timeseries: [hourPoint(2, 80), hourPoint(1, 10), hourPoint(0, 80)] });
+    assert.ok(!active('5xx-latest'));
+
+    alertService.evaluate(zone, { timeseries: [hourPoint(2, 10), hourPoint(1, 80), hourPoint(0, 0)] });
+    assert.ok(active('5xx-latest'));
+  });
+
+  it('reads error rates from the last completed hour', () => {
+    // 80 of the last full hour's 1000 requests failed, 2% of the day
+    const timeseries = [hourPoint(3, 0), hourPoint(2, 0), hourPoint(1, 80), hourPoint(0, 0)];
+    alertService.evaluate(zone, { timeseries, totals: { requests: 4000 }, httpStatus: { '5xx': 80 } });
+    assert.ok(active('5xx-rate'));
+    alertService.evaluate(zone, { timeseries: [hourPoint(2, 80), hourPoint(1, 0), hourPoint(0, 0)] });
+    assert.ok(!active('5xx-rate'));
+  });
+
+  it('sends no resolved notification for a firing one the cooldown held back', async () => {
+    // The previous test fired and resolved the rule once; this flap falls inside its cooldown
+    alertService.evaluate(zone, { timeseries: [hourPoint(2, 0), hourPoint(1, 80), hourPoint(0, 0)] });
+    alertService.evaluate(zone, { timeseries: [hourPoint(2, 80), hourPoint(1, 0), hourPoint(0, 0)] });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.deepEqual(
+      receiver.received.filter((notification) => notification.ruleId === '5xx-rate').map((notification) => notification.status),
+      ['firing', 'resolved'],
+    );
+  });
+});
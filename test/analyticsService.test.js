@@ -0,0 +1,255 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const {
+  describe, it, before, after,
+} = require('node:test');
+const { startGraphqlStub } = require('./support/graphqlStub');
+const { configureEnvironment, ZONE_FIXTURES } = require('./support/environment');
+
+describe('fetchAnalyticsData', () => {
+  let stub;
+  let dataDir;
+  let fetchAnalyticsData;
+  let getZoneCache;
+
+  before(async () => {
+    stub = await startGraphqlStub({ zones: ZONE_FIXTURES });
+    dataDir = configureEnvironment(stub.url);
+    ({ fetchAnalyticsData, getZoneCache } = require('../src/services/analyticsService'));
+  });
+
+  after(async () => {
+    await stub.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('with normal traffic', () => {
+    let data;
+
+    before(async () => {
+      data = await fetchAnalyticsData('zone-normal', '24h');
+    });
+
+    it('queries the stub with the zone tag and the zone token', () => {
+      const requests = stub.requestsFor('zone-normal');
+      assert.ok(requests.length > 0);
+      requests.forEach((request) => assert.equal(request.authorization, 'Bearer test-token-normal'));
+      assert.deepEqual(
+        [...new Set(requests.map((request) => `${request.dataset}/${request.panel}`))].sort(),
+        [
+          'firewallEventsAdaptiveGroups/events',
+          'firewallEventsAdaptiveGroups/timeline',
+          'httpRequests1dGroups/monthToDate',
+          'httpRequests1hGroups/geographic',
+          'httpRequests1hGroups/previous',
+          'httpRequests1hGroups/timeseries',
+          'httpRequestsAdaptiveGroups/cacheStatus',
+          'httpRequestsAdaptiveGroups/topPaths',
+        ],
+      );
+    });
+
+    it('returns a fresh snapshot without panel errors', () => {
+      assert.equal(data.error, undefined);
+      assert.equal(data.stale, false);
+      assert.deepEqual(data.panelErrors, {});
+      assert.deepEqual(data.zone, { id: 'zone-normal', label: 'normal.example.com' });
+      assert.equal(data.range, '24h');
+      assert.deepEqual(
+        data.timeseries.map((pt) => pt.datetime),
+        ['2025-03-10T10:00:00Z', '2025-03-10T11:00:00Z', '2025-03-10T12:00:00Z', '2025-03-10T13:00:00Z'],
+      );
+    });
+
+    it('buckets response statuses by class and ignores codes outside 2xx-5xx', () => {
+      assert.deepEqual(data.timeseries[0].statusBuckets, {
+        '2xx': 1000, '3xx': 120, '4xx': 60, '5xx': 15,
+      });
+      assert.deepEqual(data.timeseries[2].statusBuckets, {
+        '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0,
+      });
+      assert.deepEqual(data.httpStatus, {
+        '2xx': 2650, '3xx': 200, '4xx': 120, '5xx': 25,
+      });
+      assert.deepEqual(data.httpStatusSeries[1], {
+        datetime: '2025-03-10T11:00:00Z', '2xx': 700, '3xx': 50, '4xx': 40, '5xx': 10,
+      });
+    });
+
+    it('estimates page views as 80% of requests when every bucket reports none', () => {
+      assert.deepEqual(data.timeseries.map((pt) => pt.pageviews), [960, 640, 0, 800]);
+      assert.equal(data.totals.pageviews, 2400);
+    });
+
+    it('derives cache ratios per bucket and for the whole range', () => {
+      assert.deepEqual(data.timeseries.map((pt) => pt.cacheRatio), [0.75, 0.25, 0, 0.5]);
+      assert.deepEqual(data.timeseries.map((pt) => pt.uncachedRequests), [300, 600, 0, 500]);
+      assert.deepEqual(data.timeseries.map((pt) => pt.cachedPageviews), [720, 160, 0, 400]);
+      assert.deepEqual(data.totals, {
+        requests: 3000,
+        pageviews: 2400,
+        bytes: 12000000,
+        threats: 3,
+        uniques: 360,
+        cachedRequests: 1600,
+        cachedBytes: 7500000,
+      });
+      assert.equal(data.cache.cacheRatio, 1600 / 3000);
+      assert.equal(data.cache.estCachedPageviews, 1280);
+      assert.equal(data.cache.estCachedUniques, 192);
+    });
+
+    it('rolls countries up across buckets into the top 10 by requests', () => {
+      assert.deepEqual(data.geographic, [
+        { country: 'US', requests: 900, pageviews: 720 },
+        { country: 'DE', requests: 450, pageviews: 360 },
+        { country: 'JP', requests: 120, pageviews: 96 },
+        { country: 'GB', requests: 100, pageviews: 80 },
+        { country: 'CA', requests: 90, pageviews: 72 },
+        { country: 'BR', requests: 80, pageviews: 64 },
+        { country: 'AU', requests: 70, pageviews: 56 },
+        { country: 'IN', requests: 60, pageviews: 48 },
+        { country: 'FR', requests: 50, pageviews: 40 },
+        { country: 'NL', requests: 40, pageviews: 32 },
+      ]);
+    });
+
+    it('maps top paths, cache statuses and firewall events', () => {
+      assert.deepEqual(data.topPaths[0], { path: '/', requests: 1400, bytes: 2800000 });
+      assert.equal(data.topPaths.length, 3);
+      assert.deepEqual(data.cacheBreakdown.hit, { requests: 1500, bytes: 7200000 });
+      assert.deepEqual(Object.keys(data.cacheBreakdown), ['hit', 'miss', 'dynamic', 'bypass']);
+      assert.deepEqual(data.security.actions, { block: 12, managed_challenge: 4, log: 3 });
+      assert.equal(data.security.topRules[0].ruleId, '2c0fc9fa');
+      assert.equal(data.security.topRules[0].events, 12);
+      assert.equal(data.security.topIps[0].ip, '203.0.113.7');
+    });
+  });
+
+  it('caps the adaptive panels at one day on longer ranges', async () => {
+    const data = await fetchAnalyticsData('zone-normal', '7d');
+    const { since, until } = data.adaptiveWindow;
+    assert.equal(Date.parse(until) - Date.parse(since), 24 * 60 * 60 * 1000);
+    assert.deepEqual([data.security.since, data.security.until], [since, until]);
+  });
+
+  it('keeps reported page views for minute buckets', async () => {
+    const data = await fetchAnalyticsData('zone-normal', '1h');
+    assert.deepEqual(data.timeseries.map((pt) => pt.pageviews), [25, 35, 0]);
+    assert.deepEqual(data.geographic, [
+      { country: 'US', requests: 75, pageviews: 60 },
+      { country: 'DE', requests: 45, pageviews: 36 },
+    ]);
+  });
+
+  it('returns zeroed totals for a zone without traffic', async () => {
+    const data = await fetchAnalyticsData('zone-empty', '24h');
+    assert.equal(data.error, undefined);
+    assert.deepEqual(data.timeseries, []);
+    assert.deepEqual(data.totals, {
+      requests: 0, pageviews: 0, bytes: 0, threats: 0, uniques: 0, cachedRequests: 0, cachedBytes: 0,
+    });
+    assert.deepEqual(data.httpStatus, {
+      '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0,
+    });
+    assert.equal(data.cache.cacheRatio, 0);
+    assert.deepEqual(data.geographic, []);
+    assert.deepEqual(data.topPaths, []);
+    assert.deepEqual(data.panelErrors, {});
+  });
+
+  it('reports panels the plan denies and keeps the rest', async () => {
+    const data = await fetchAnalyticsData('zone-plan-limited', '24h');
+    assert.equal(data.error, undefined);
+    assert.equal(data.totals.requests, 3000);
+    assert.equal(data.geographic[0].country, 'US');
+    assert.deepEqual(data.topPaths, []);
+    assert.deepEqual(data.cacheBreakdown, {});
+    assert.equal(data.security, null);
+    assert.deepEqual(Object.keys(data.panelErrors).sort(), ['cacheBreakdown', 'security', 'topPaths']);
+    assert.deepEqual(data.panelErrors.topPaths, {
+      dataset: 'httpRequestsAdaptiveGroups',
+      kind: 'denied',
+      field: 'httpRequestsAdaptiveGroups',
+      message: "zone 'zone-plan-limited' does not have access to the path",
+    });
+    assert.equal(data.panelErrors.security.dataset, 'firewallEventsAdaptiveGroups');
+  });
+
+  it('fails the refresh without retrying when the timeseries query is rejected', async () => {
+    const data = await fetchAnalyticsData('zone-query-rejected', '24h');
+    assert.equal(data.error, 'Failed to fetch data from Cloudflare GraphQL API');
+    assert.deepEqual(data.timeseries, []);
+    assert.equal(data.panelErrors.timeseries.kind, 'limit');
+    assert.equal(data.panelErrors.timeseries.dataset, 'httpRequests1hGroups');
+    assert.match(data.panelErrors.timeseries.message, /older than/);
+    assert.equal(stub.requestsFor('zone-query-rejected').length, 1);
+  });
+
+  it('retries a 429 after Retry-After and then reports the rate limit', async () => {
+    const startedAt = Date.now();
+    const data = await fetchAnalyticsData('zone-rate-limited', '24h');
+    assert.equal(data.error, 'Failed to fetch data from Cloudflare GraphQL API');
+    assert.deepEqual(data.panelErrors.timeseries, {
+      dataset: 'httpRequests1hGroups', kind: 'limit', status: 429, message: 'HTTP 429',
+    });
+    assert.equal(stub.requestsFor('zone-rate-limited').length, 2);
+    assert.ok(Date.now() - startedAt >= 1000, 'waited for Retry-After');
+  });
+
+  it('retries a timed out query and then reports a transport failure', async () => {
+    const data = await fetchAnalyticsData('zone-timeout', '24h');
+    assert.equal(data.error, 'Failed to fetch data from Cloudflare GraphQL API');
+    assert.equal(data.panelErrors.timeseries.kind, 'transport');
+    assert.match(data.panelErrors.timeseries.message, /timeout/);
+    assert.equal(stub.requestsFor('zone-timeout').length, 2);
+  });
+
+  it('serves the last snapshot marked stale when a later refresh fails', async () => {
+    const fresh = await fetchAnalyticsData('zone-flaky', '24h');
+    assert.equal(fresh.stale, false);
+
+    stub.use('zone-flaky', 'graphql-errors-timeseries');
+    // Age the snapshot past its cache time so the next call goes upstream
+    getZoneCache('zone-flaky', '24h').lastUpdated = new Date(0);
+    const stale = await fetchAnalyticsData('zone-flaky', '24h');
+    assert.equal(stale.stale, true);
+    assert.match(stale.staleReason, /older than/);
+    assert.equal(stale.totals.requests, 3000);
+    assert.equal(stale.lastUpdated, fresh.lastUpdated);
+    assert.equal(stale.panelErrors.timeseries.kind, 'limit');
+  });
+
+  it('reports a failed previous period as unavailable rather than zero', async () => {
+    const data = await fetchAnalyticsData('zone-no-comparison', '24h');
+    assert.equal(data.error, undefined);
+    assert.equal(data.totals.requests, 3000);
+    assert.equal(data.previousTotals, null);
+    assert.equal(data.previousTimeseries, null);
+    assert.equal(data.panelErrors.previousTotals.kind, 'limit');
+  });
+
+  it('leaves the hour in progress out of anomaly detection', async () => {
+    const data = await fetchAnalyticsData('zone-partial-hour', '24h');
+    const currentHour = new Date(Math.floor(Date.now() / 3600000) * 3600000).toISOString();
+    assert.equal(data.timeseries[data.timeseries.length - 1].requests, 150);
+    assert.ok(!data.anomalies.some((anomaly) => anomaly.datetime === currentHour), 'partial hour flagged');
+    assert.deepEqual(
+      data.anomalies.map((anomaly) => [anomaly.metric, anomaly.direction, anomaly.value]),
+      [['requests', 'high', 3600]],
+    );
+  });
+
+  it('serves repeated reads from the cache until the refresh interval has passed', async () => {
+    const first = await fetchAnalyticsData('zone-normal', '24h');
+    const queries = stub.requestsFor('zone-normal').length;
+    const second = await fetchAnalyticsData('zone-normal', '24h');
+    assert.equal(second, first);
+    assert.equal(stub.requestsFor('zone-normal').length, queries);
+  });
+
+  it('rejects zones and ranges that are not configured', async () => {
+    await assert.rejects(fetchAnalyticsData('zone-missing', '24h'), /Unknown zone: zone-missing/);
+    await assert.rejects(fetchAnalyticsData('zone-normal', '2y'), /Unknown range: 2y/);
+  });
+});
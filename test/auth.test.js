@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const {
+  describe, it, before, after,
+} = require('node:test');
+const { configureEnvironment } = require('./support/environment');
+
+// Just enough of Express's req and res for the middleware
+function call(middleware, {
+  method = 'GET', path = '/api/config', remoteAddress = '127.0.0.1', auth,
+} = {}) {
+  const req = {
+    method, path, query: {}, socket: { remoteAddress }, get: () => undefined, auth,
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+describe('authentication without credentials', () => {
+  let dataDir;
+  let authenticate;
+  let requireAdmin;
+
+  before(() => {
+    dataDir = configureEnvironment('http://127.0.0.1:1');
+    ({ authenticate, requireAdmin } = require('../src/auth'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('lets anyone read', () => {
+    const { req, passed } = call(authenticate, { remoteAddress: '192.0.2.10' });
+    assert.ok(passed);
+    assert.equal(req.auth.via, 'open');
+  });
+
+  it('treats only localhost as admin', () => {
+    assert.equal(call(authenticate).req.auth.role, 'admin');
+
+    const { req } = call(authenticate, { path: '/admin', remoteAddress: '192.0.2.10' });
+    assert.equal(req.auth.role, 'read');
+    const { res, passed } = call(requireAdmin, { path: '/admin', remoteAddress: '192.0.2.10', auth: req.auth });
+    assert.ok(!passed);
+    assert.equal(res.statusCode, 403);
+    assert.match(res.body.error, /ADMIN_PASSWORD/);
+  });
+
+  it('accepts changes from localhost', () => {
+    ['127.0.0.1', '::1', '::ffff:127.0.0.1'].forEach((remoteAddress) => {
+      assert.ok(call(authenticate, { method: 'PUT', remoteAddress }).passed, remoteAddress);
+    });
+  });
+
+  it('refuses changes from anywhere else', () => {
+    ['192.0.2.10', '::ffff:172.17.0.1'].forEach((remoteAddress) => {
+      const { res, passed } = call(authenticate, { method: 'POST', path: '/api/displays/commands', remoteAddress });
+      assert.ok(!passed, remoteAddress);
+      assert.equal(res.statusCode, 403);
+      assert.match(res.body.error, /ADMIN_PASSWORD/);
+    });
+  });
+});
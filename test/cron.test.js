@@ -0,0 +1,26 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseCron, nextRun } = require('../src/cron');
+
+describe('cron schedules', () => {
+  it('rejects schedules that can never fire', () => {
+    assert.throws(() => parseCron('0 0 31 2 *'), /never matches/);
+    assert.throws(() => parseCron('0 0 30,31 2 *'), /never matches/);
+    // Restricting the day of week as well fires on either day field
+    assert.doesNotThrow(() => parseCron('0 0 31 2 1'));
+  });
+
+  it('finds a leap day years ahead without scanning every minute', () => {
+    const startedAt = Date.now();
+    const next = nextRun(parseCron('0 0 29 2 *'), new Date(2029, 2, 1));
+    assert.deepEqual(next, new Date(2032, 1, 29));
+    assert.ok(Date.now() - startedAt < 100);
+  });
+
+  it('returns the first matching minute after the given time', () => {
+    const schedule = parseCron('*/15 8-18 * * 1-5');
+    // Friday 18:50, so the next run is Monday 08:00
+    assert.deepEqual(nextRun(schedule, new Date(2026, 9, 16, 18, 50)), new Date(2026, 9, 19, 8, 0));
+    assert.deepEqual(nextRun(schedule, new Date(2026, 9, 19, 8, 0, 30)), new Date(2026, 9, 19, 8, 15));
+  });
+});
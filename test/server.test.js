@@ -0,0 +1,156 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  describe, it, before, after,
+} = require('node:test');
+const { startGraphqlStub } = require('./support/graphqlStub');
+const { configureEnvironment, ZONE_FIXTURES, TEST_ZONES } = require('./support/environment');
+
+describe('HTTP routes', () => {
+  let stub;
+  let dataDir;
+  let server;
+  let baseUrl;
+
+  function get(route, headers = {}, options = {}) {
+    return fetch(`${baseUrl}${route}`, { headers, ...options });
+  }
+
+  before(async () => {
+    stub = await startGraphqlStub({ zones: ZONE_FIXTURES });
+    dataDir = configureEnvironment(stub.url);
+    // A hand-edited settings file; the theme would break out of the <body> attribute
+    fs.writeFileSync(path.join(dataDir, 'settings.json'), JSON.stringify({ theme: 'dark"><script>alert(1)</script>' }));
+    const { app } = require('../server');
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await stub.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('lists the configured zones and ranges', async () => {
+    const res = await get('/api/zones');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.zones.map((zone) => zone.id), TEST_ZONES.map((zone) => zone.id));
+    assert.deepEqual(body.ranges, ['1h', '24h', '7d', '30d']);
+    assert.equal(body.defaultRange, '24h');
+  });
+
+  it('serves a snapshot with live state from /api/analytics', async () => {
+    const res = await get('/api/analytics?zone=zone-normal&range=24h');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.totals.requests, 3000);
+    assert.deepEqual(body.httpStatus, {
+      '2xx': 2650, '3xx': 200, '4xx': 120, '5xx': 25,
+    });
+    assert.equal(body.geographic[0].country, 'US');
+    assert.equal(typeof body.dataAge, 'number');
+    assert.equal(typeof body.nextRefreshIn, 'number');
+    assert.ok(Array.isArray(body.alerts));
+  });
+
+  it('defaults to the first zone and the 24h range', async () => {
+    const body = await (await get('/api/analytics')).json();
+    assert.equal(body.zone.id, 'zone-normal');
+    assert.equal(body.range, '24h');
+  });
+
+  it('answers upstream failures with an error snapshot', async () => {
+    const res = await get('/api/analytics?zone=zone-rate-limited');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.error, 'Failed to fetch data from Cloudflare GraphQL API');
+    assert.equal(body.panelErrors.timeseries.status, 429);
+  });
+
+  it('streams a first 7d snapshot on connect and counts down to when it expires', async () => {
+    const controller = new AbortController();
+    // Without a snapshot the stream only carries heartbeats; give up rather than hang
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    const res = await get('/api/analytics/stream?zone=zone-normal&range=7d&display=test-7d', {}, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    const decoder = new TextDecoder();
+    let text = '';
+    for await (const chunk of res.body) {
+      text += decoder.decode(chunk, { stream: true });
+      if (/event: snapshot\ndata: .*\n\n/.test(text)) break;
+    }
+    clearTimeout(timeout);
+    controller.abort();
+    const snapshot = JSON.parse(/event: snapshot\ndata: (.*)\n/.exec(text)[1]);
+    assert.equal(snapshot.range, '7d');
+    assert.equal(snapshot.totals.requests, 3000);
+    // Refreshes inside the 5 minute cacheTtl bring no new data, so the countdown skips them
+    assert.ok(snapshot.nextRefreshIn > 270 * 1000, `nextRefreshIn ${snapshot.nextRefreshIn}`);
+  });
+
+  it('rejects unknown zones and ranges', async () => {
+    const unknownZone = await get('/api/analytics?zone=zone-missing');
+    assert.equal(unknownZone.status, 404);
+    assert.deepEqual(await unknownZone.json(), { error: 'Unknown zone: zone-missing' });
+
+    const unknownRange = await get('/api/analytics?zone=zone-normal&range=2y');
+    assert.equal(unknownRange.status, 400);
+    assert.match((await unknownRange.json()).error, /Unknown range: 2y/);
+  });
+
+  it('exports snapshot tables as CSV', async () => {
+    const res = await get('/api/export?zone=zone-normal&format=csv&datasets=geographic');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    const lines = (await res.text()).trim().split(/\r?\n/);
+    assert.equal(lines[0], 'country,requests,pageviews');
+    assert.equal(lines[1], 'US,900,720');
+    assert.equal(lines.length, 11);
+  });
+
+  it('reports cache state and circuit breakers on /health', async () => {
+    const res = await get('/health');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.status, 'healthy');
+    const normal = body.cache.find((entry) => entry.zone === 'zone-normal');
+    assert.equal(normal.hasData, true);
+    assert.equal(normal.stale, false);
+    assert.equal(normal.circuit.state, 'closed');
+  });
+
+  it('exposes refreshed totals and upstream errors on /metrics', async () => {
+    const res = await get('/metrics');
+    assert.equal(res.status, 200);
+    const text = await res.text();
+    assert.match(text, /^cloudflare_analytics_requests\{zone="normal\.example\.com",zone_id="zone-normal"\} 3000$/m);
+    assert.match(text, /^cloudflare_analytics_http_responses\{zone="normal\.example\.com",zone_id="zone-normal",status_class="5xx"\} 25$/m);
+    assert.match(text, /^cloudflare_analytics_upstream_errors_total\{zone="rate-limited\.example\.com",zone_id="zone-rate-limited",query="timeseries"\} 1$/m);
+    assert.match(text, /# EOF\n$/);
+  });
+
+  it('echoes a caller request id and assigns one otherwise', async () => {
+    const echoed = await get('/api/zones', { 'X-Request-Id': 'test-request-1' });
+    assert.equal(echoed.headers.get('x-request-id'), 'test-request-1');
+    const assigned = await get('/api/zones');
+    assert.match(assigned.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('falls back to the environment for invalid saved settings', async () => {
+    const html = await (await get('/')).text();
+    assert.match(html, /<body data-theme="dark" /);
+    assert.ok(!html.includes('<script>alert'));
+  });
+
+  it('answers unknown paths with a JSON 404', async () => {
+    const res = await get('/api/nothing-here');
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), { error: 'Not found' });
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// One zone per fixture, each with its own token so a failing scenario can't open the
+// circuit breaker of another zone's client
+const TEST_ZONES = [
+  { id: 'zone-normal', label: 'normal.example.com', apiToken: 'test-token-normal' },
+  { id: 'zone-empty', label: 'empty.example.com', apiToken: 'test-token-empty' },
+  { id: 'zone-plan-limited', label: 'plan-limited.example.com', apiToken: 'test-token-plan-limited' },
+  { id: 'zone-query-rejected', label: 'query-rejected.example.com', apiToken: 'test-token-query-rejected' },
+  { id: 'zone-timeout', label: 'timeout.example.com', apiToken: 'test-token-timeout' },
+  { id: 'zone-rate-limited', label: 'rate-limited.example.com', apiToken: 'test-token-rate-limited' },
+  { id: 'zone-flaky', label: 'flaky.example.com', apiToken: 'test-token-flaky' },
+  { id: 'zone-partial-hour', label: 'partial-hour.example.com', apiToken: 'test-token-partial-hour' },
+  { id: 'zone-no-comparison', label: 'no-comparison.example.com', apiToken: 'test-token-no-comparison' },
+];
+
+// Fixture each test zone starts out with
+const ZONE_FIXTURES = {
+  'zone-normal': 'normal',
+  'zone-empty': 'empty',
+  'zone-plan-limited': 'graphql-errors',
+  'zone-query-rejected': 'graphql-errors-timeseries',
+  'zone-timeout': 'timeout',
+  'zone-rate-limited': 'rate-limited',
+  'zone-flaky': 'normal',
+  'zone-partial-hour': 'partial-hour',
+  'zone-no-comparison': 'previous-period-errors',
+};
+
+/**
+ * Points the app at the GraphQL stub at `apiUrl`, with its files in a fresh temporary
+ * directory and nothing read from a local .env. config.js reads the environment once, so
+ * this has to run before anything under src/ (or server.js) is required.
+ */
+function configureEnvironment(apiUrl, overrides = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-test-'));
+  Object.assign(process.env, {
+    CLOUDFLARE_API_URL: apiUrl,
+    CLOUDFLARE_API_TOKEN: 'test-token-default',
+    CLOUDFLARE_ZONE_ID: '',
+    CLOUDFLARE_ZONES: JSON.stringify(TEST_ZONES),
+    // One quick retry and a short timeout keep the failure scenarios fast
+    CLOUDFLARE_RETRIES: '1',
+    CLOUDFLARE_RETRY_BASE_MS: '10',
+    CLOUDFLARE_TIMEOUT_MS: '250',
+    DATA_DIR: dataDir,
+    SETTINGS_FILE: path.join(dataDir, 'settings.json'),
+    ALERT_RULES_FILE: path.join(dataDir, 'alerts.json'),
+    MONITORS_FILE: path.join(dataDir, 'monitors.json'),
+    REPORTS_FILE: path.join(dataDir, 'reports.json'),
+    ADMIN_PASSWORD: '',
+    API_TOKENS: '',
+    SHARE_LINK_SECRET: '',
+    CORS_ORIGINS: '',
+    LOG_FILE: 'off',
+    LOG_LEVEL: 'error',
+    ...overrides,
+  });
+  return dataDir;
+}
+
+module.exports = {
+  TEST_ZONES,
+  ZONE_FIXTURES,
+  configureEnvironment,
+};
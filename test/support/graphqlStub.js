@@ -0,0 +1,159 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'graphql');
+const GRAPHQL_PATH = '/client/v4/graphql';
+
+const HOUR_MS = 60 * 60 * 1000;
+const RELATIVE_HOUR = /^@hour(-\d+)?$/;
+// Timeseries queries ending longer ago than this are previous-period queries (the shortest range is 1h)
+const PREVIOUS_PERIOD_GAP_MS = 30 * 60 * 1000;
+
+// Fixture files hold recorded Cloudflare responses, keyed by '<dataset>/<panel>' with '*'
+// answering anything else: { description, responses: { key: { status, headers, body, delayMs } } }.
+// A fixture without '<dataset>/previous' answers the previous period from '<dataset>/timeseries'.
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+// Strings like '@hour' (the start of the current hour) and '@hour-3' (three hours earlier)
+// become ISO datetimes when a response is sent, for fixtures that depend on the clock
+function resolveTimes(value, now) {
+  if (Array.isArray(value)) return value.map((item) => resolveTimes(item, now));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTimes(item, now)]));
+  }
+  const match = typeof value === 'string' ? RELATIVE_HOUR.exec(value) : null;
+  if (!match) return value;
+  const hour = Math.floor(now / HOUR_MS) * HOUR_MS;
+  return new Date(hour + parseInt(match[1] || '0', 10) * HOUR_MS).toISOString();
+}
+
+// Which dataset a query reads and which snapshot panel it feeds, from the query text the
+// analytics service builds (see graphqlQuery.buildDatasetQuery). The previous-period query
+// reads like the timeseries one but ends at least a range's length ago.
+function describeQuery(query, variables = {}, now = Date.now()) {
+  const text = String(query || '');
+  const operation = /query\s+(\w+)Query\b/.exec(text);
+  const dimensions = /dimensions\s*\{([^}]*)\}/.exec(text);
+  const dataset = operation ? operation[1] : null;
+  const dimensionList = dimensions ? dimensions[1].trim().split(/\s+/) : [];
+
+  let panel = 'timeseries';
+  if (text.includes('countryMap')) panel = 'geographic';
+  else if (dimensionList.includes('clientRequestPath') && dataset === 'httpRequestsAdaptiveGroups') panel = 'topPaths';
+  else if (dimensionList.includes('cacheStatus')) panel = 'cacheStatus';
+  else if (dataset === 'firewallEventsAdaptiveGroups') panel = /count_DESC/.test(text) ? 'events' : 'timeline';
+  else if (dataset === 'httpRequests1dGroups' && !text.includes('responseStatusMap')) panel = 'monthToDate';
+  if (panel === 'timeseries' && Date.parse(variables.until) < now - PREVIOUS_PERIOD_GAP_MS) panel = 'previous';
+  return { dataset, panel };
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Local stand-in for the Cloudflare GraphQL endpoint. `zones` maps zone tags to the fixture
+ * that answers for them (use() switches one later); zones it doesn't know come back as
+ * an empty viewer.zones list, which is what Cloudflare returns for a zone the token can't see.
+ * Every request is recorded as { zoneTag, dataset, panel, authorization, variables }.
+ */
+function startGraphqlStub({ zones = {} } = {}) {
+  const scenarios = { ...zones };
+  const fixtures = {};
+  const requests = [];
+  const pending = new Set();
+
+  function fixtureFor(zoneTag) {
+    const name = scenarios[zoneTag];
+    if (!name) return null;
+    if (!fixtures[name]) fixtures[name] = loadFixture(name);
+    return fixtures[name];
+  }
+
+  function handle(req, res, body) {
+    if (req.method !== 'POST' || req.url !== GRAPHQL_PATH) {
+      sendJson(res, 404, { success: false, errors: [{ code: 7000, message: 'No route for that URI' }] });
+      return;
+    }
+    if (!/^Bearer \S+$/.test(req.headers.authorization || '')) {
+      sendJson(res, 400, { success: false, errors: [{ code: 9106, message: 'Missing X-Auth-Key, X-Auth-Email or Authorization headers' }] });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (err) {
+      sendJson(res, 400, { data: null, errors: [{ message: `failed to parse request body: ${err.message}` }] });
+      return;
+    }
+    const variables = payload.variables || {};
+    const { dataset, panel } = describeQuery(payload.query, variables);
+    requests.push({
+      zoneTag: variables.zoneTag, dataset, panel, authorization: req.headers.authorization, variables,
+    });
+
+    const fixture = fixtureFor(variables.zoneTag);
+    if (!fixture) {
+      sendJson(res, 200, { data: { viewer: { zones: [] } }, errors: null });
+      return;
+    }
+    // Fixtures without their own previous period answer it like the timeseries
+    const response = fixture.responses[`${dataset}/${panel}`]
+      || (panel === 'previous' && fixture.responses[`${dataset}/timeseries`])
+      || fixture.responses['*'];
+    if (!response) {
+      sendJson(res, 200, { data: null, errors: [{ message: `stub has no fixture for ${dataset}/${panel}` }] });
+      return;
+    }
+
+    const reply = () => sendJson(res, response.status || 200, resolveTimes(response.body, Date.now()), response.headers);
+    if (!response.delayMs) {
+      reply();
+      return;
+    }
+    const timer = setTimeout(() => {
+      pending.delete(timer);
+      if (!res.destroyed) reply();
+    }, response.delayMs);
+    pending.add(timer);
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks).toString('utf8')));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        // Answers zoneTag's queries from another fixture from now on
+        use(zoneTag, name) {
+          scenarios[zoneTag] = name;
+        },
+        requestsFor(zoneTag) {
+          return requests.filter((request) => request.zoneTag === zoneTag);
+        },
+        close() {
+          pending.forEach((timer) => clearTimeout(timer));
+          pending.clear();
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+module.exports = {
+  startGraphqlStub,
+  describeQuery,
+};
@@ -9,6 +9,8 @@ set -euo pipefail
 REPO_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 COMPOSE_FILE="$REPO_DIR/docker-compose.yml"
 DEPLOY_LOG="/tmp/analytics-deploy.log"
+# Commit to deploy, set by the webhook listener (the pushed commit, or an earlier one on rollback)
+TARGET_REF="${DEPLOY_COMMIT:-origin/main}"
 
 # Function to log with timestamp
 deploy_log() {
@@ -30,25 +32,25 @@ deploy_site() {
     # Change to repo directory
     cd "$REPO_DIR" || handle_failure "Cannot access repository directory"
 
-    # Stop current containers
-    deploy_log "Stopping current containers..."
-    docker-compose down -v || handle_failure "Failed to stop containers"
-
     # Fetch latest changes
     deploy_log "Fetching latest changes from repository..."
-    git fetch origin || handle_failure "Failed to fetch from repository"
+    git fetch --tags origin || handle_failure "Failed to fetch from repository"
 
-    # Get current and remote commit hashes
+    # Resolve and check out the target while the current containers keep serving, so a bad
+    # target (e.g. a rollback to a commit that no longer exists) leaves the service running
     local current_commit=$(git rev-parse HEAD)
-    local remote_commit=$(git rev-parse origin/main)
+    local target_commit
+    target_commit=$(git rev-parse --verify "$TARGET_REF^{commit}") || handle_failure "Unknown commit $TARGET_REF"
+    git cat-file -e "$target_commit:docker-compose.yml" 2>/dev/null || handle_failure "Commit $target_commit has no docker-compose.yml"
 
-    if [ "$current_commit" = "$remote_commit" ]; then
-        deploy_log "Repository already up to date"
+    if [ "$current_commit" = "$target_commit" ]; then
+        deploy_log "Repository already at $target_commit"
     else
-        deploy_log "Updating from $current_commit to $remote_commit"
+        deploy_log "Updating from $current_commit to $target_commit"
 
-        # Pull latest changes
-        git reset --hard origin/main || handle_failure "Failed to update repository"
+        # Check out the target commit
+        git reset --hard "$target_commit" || handle_failure "Failed to update repository"
+        [ "$(git rev-parse HEAD)" = "$target_commit" ] || handle_failure "Checkout of $target_commit did not complete"
 
         # Log recent changes
         deploy_log "Recent changes:"
@@ -57,9 +59,13 @@ deploy_site() {
         done
     fi
 
+    # Stop current containers; volumes are kept, they hold the history and settings
+    deploy_log "Stopping current containers..."
+    docker-compose down || handle_failure "Failed to stop containers"
+
     # Clean up any orphaned Docker resources
     deploy_log "Cleaning up Docker resources..."
-    docker system prune -f --volumes 2>/dev/null || true
+    docker system prune -f 2>/dev/null || true
 
     # Build and start new containers
     deploy_log "Building and starting new containers..."
@@ -1,221 +1,357 @@
 #!/usr/bin/env node
 
 /**
- * GitHub Webhook Listener for Cloudflare Analytics Display Auto-Deployment
+ * Git Webhook Listener (GitHub, GitLab, Gitea) for Cloudflare Analytics Display Auto-Deployment
  * Runs on Pi host (outside Docker) to handle repository updates
  */
 
 const http = require('http');
 const crypto = require('crypto');
-const { spawn } = require('child_process');
-const fs = require('fs');
 const path = require('path');
+const { createLogger, registerSecrets } = require('./src/logger');
+const { createDeploymentQueue, summarize } = require('./src/webhook/deployments');
+const { PROVIDERS, safeEqual, detectProvider, parsePush } = require('./src/webhook/providers');
+const { loadRoutes, matchRoute } = require('./src/webhook/routes');
+const {
+    readBody, parseAllowlist, isAllowed, createReplayGuard
+} = require('./src/webhook/security');
 
 // Configuration
 const PORT = process.env.WEBHOOK_PORT || 9001;
-const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || '';
-const DEPLOY_SCRIPT = path.join(__dirname, 'webhook-deploy.sh');
-const LOG_FILE = '/tmp/analytics-webhook-listener.log';
-
-// Ensure log directory exists
-const logDir = path.dirname(LOG_FILE);
-if (!fs.existsSync(logDir)) {
-    fs.mkdirSync(logDir, { recursive: true });
-}
+const ROUTES_FILE = process.env.WEBHOOK_ROUTES_FILE || path.join(__dirname, 'webhook-routes.json');
+const LOG_FILE = process.env.WEBHOOK_LOG_FILE || '/tmp/analytics-webhook-listener.log';
+const DEPLOYMENTS_FILE = process.env.DEPLOYMENTS_FILE || path.join(__dirname, 'data', 'deployments.json');
+const DEPLOYMENT_HISTORY_LIMIT = parseInt(process.env.DEPLOYMENT_HISTORY_LIMIT, 10) || 50;
+const DEPLOY_API_TOKEN = process.env.DEPLOY_API_TOKEN || '';
+const MAX_BODY_BYTES = parseInt(process.env.WEBHOOK_MAX_BODY_BYTES, 10) || 1024 * 1024;
+const REPLAY_WINDOW_SECONDS = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_SECONDS, 10) || 24 * 60 * 60;
+// Skipping signature checks for providers without a secret has to be asked for explicitly
+const ALLOW_INSECURE = process.env.WEBHOOK_ALLOW_INSECURE === 'true';
+
+// Same logger as the dashboard (LOG_LEVEL, LOG_FORMAT, rotation), with its own file
+const { log, close: closeLog } = createLogger({ file: LOG_FILE });
+registerSecrets(() => [
+    DEPLOY_API_TOKEN,
+    ...Object.values(PROVIDERS).map((provider) => process.env[provider.secretEnv])
+]);
 
-// Logging function
-function log(level, message) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] [${level}] ${message}\n`;
+// Check a webhook request against its provider's secret; without one only WEBHOOK_ALLOW_INSECURE lets it through
+function verifyRequest(provider, headers, body) {
+    const secret = process.env[PROVIDERS[provider].secretEnv] || '';
+    if (!secret) {
+        if (!ALLOW_INSECURE) {
+            log('ERROR', `Rejected ${provider} webhook: ${PROVIDERS[provider].secretEnv} is not set`);
+            return false;
+        }
+        log('WARN', `No ${PROVIDERS[provider].secretEnv} configured - skipping ${provider} signature verification`);
+        return true;
+    }
     
-    console.log(logEntry.trim());
-    fs.appendFileSync(LOG_FILE, logEntry);
+    const isValid = PROVIDERS[provider].verify(headers, body, secret);
+    if (!isValid) {
+        log('ERROR', `Invalid or missing ${provider} webhook signature`);
+    }
+    
+    return isValid;
 }
 
-// Verify GitHub webhook signature
-function verifySignature(payload, signature) {
-    if (!WEBHOOK_SECRET) {
-        log('WARN', 'No webhook secret configured - skipping signature verification');
-        return true;
+// Configuration problems stop the listener once the log file has the reason
+let startupFailed = false;
+function failStartup(message) {
+    log('ERROR', message);
+    startupFailed = true;
+    closeLog(() => process.exit(1));
+}
+
+// Which pushes deploy, and with which script
+const routes = loadRoutes(ROUTES_FILE, { baseDir: __dirname, log });
+
+// A provider a route names needs its secret, unless running insecurely was asked for. A route
+// without a provider takes pushes from the providers that have one (verifyRequest turns the
+// others away), so it only needs a secret when none is set at all.
+const signedProviders = Object.keys(PROVIDERS).filter((provider) => process.env[PROVIDERS[provider].secretEnv]);
+const anyProviderRouted = routes.some((route) => !route.provider);
+const unsignedProviders = Object.keys(PROVIDERS).filter((provider) => {
+    if (signedProviders.includes(provider)) return false;
+    return routes.some((route) => route.provider === provider) || (anyProviderRouted && signedProviders.length === 0);
+});
+if (unsignedProviders.length > 0) {
+    const names = unsignedProviders.map((provider) => PROVIDERS[provider].secretEnv).join(', ');
+    if (!ALLOW_INSECURE) {
+        failStartup(`${names} not set - refusing to start. Set the secrets, or WEBHOOK_ALLOW_INSECURE=true to accept unsigned webhooks`);
+    } else {
+        log('WARN', `${names} not set and WEBHOOK_ALLOW_INSECURE=true - accepting unsigned ${unsignedProviders.join(', ')} webhooks`);
+    }
+}
+
+// Optional sender allowlist of addresses and CIDR ranges
+let allowlist = null;
+try {
+    allowlist = parseAllowlist(process.env.WEBHOOK_ALLOWED_IPS);
+} catch (error) {
+    failStartup(`Invalid WEBHOOK_ALLOWED_IPS: ${error.message}`);
+}
+
+// Delivery ids and bodies seen within the replay window
+const replayGuard = createReplayGuard(REPLAY_WINDOW_SECONDS * 1000);
+
+// Deploys run one at a time and are recorded in DEPLOYMENTS_FILE
+const deploymentQueue = createDeploymentQueue({
+    file: DEPLOYMENTS_FILE,
+    baseDir: __dirname,
+    historyLimit: DEPLOYMENT_HISTORY_LIMIT,
+    log
+});
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// The deployment API needs DEPLOY_API_TOKEN as a Bearer token; compares digests so timing leaks nothing
+function isApiAuthorized(req) {
+    if (!DEPLOY_API_TOKEN) return false;
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    if (!/^bearer$/i.test(scheme) || !token) return false;
+    return safeEqual(token, DEPLOY_API_TOKEN);
+}
+
+// Handle a push webhook from any of the providers: sender allowlist, size-limited body,
+// signature, replay check, then routing
+async function handleWebhook(req, res) {
+    const clientIp = req.socket.remoteAddress;
+    if (!isAllowed(allowlist, clientIp)) {
+        log('WARN', `Rejected webhook from ${clientIp}: not in WEBHOOK_ALLOWED_IPS`);
+        sendJson(res, 403, { error: 'Forbidden' });
+        return;
     }
     
-    if (!signature) {
-        log('ERROR', 'No signature provided in webhook request');
-        return false;
+    const provider = detectProvider(req.headers);
+    if (!provider) {
+        log('WARN', `Rejected webhook from ${clientIp} (${req.headers['user-agent']}): unknown provider`);
+        sendJson(res, 400, { error: 'Unrecognised webhook provider' });
+        req.resume();
+        return;
     }
     
-    const expectedSignature = 'sha256=' + crypto
-        .createHmac('sha256', WEBHOOK_SECRET)
-        .update(payload)
-        .digest('hex');
+    let body;
+    try {
+        body = await readBody(req, MAX_BODY_BYTES);
+    } catch (error) {
+        log('WARN', `Rejected ${provider} webhook from ${clientIp}: ${error.message}`);
+        // Don't read the rest of an oversized body
+        res.setHeader('Connection', 'close');
+        sendJson(res, error.status || 400, { error: error.message });
+        return;
+    }
     
-    const isValid = crypto.timingSafeEqual(
-        Buffer.from(signature),
-        Buffer.from(expectedSignature)
-    );
+    // Verify signature
+    if (!verifyRequest(provider, req.headers, body)) {
+        res.writeHead(401, { 'Content-Type': 'text/plain' });
+        res.end('Unauthorized');
+        return;
+    }
     
-    if (!isValid) {
-        log('ERROR', 'Invalid webhook signature');
+    let push;
+    try {
+        push = parsePush(provider, req.headers, JSON.parse(body.toString('utf8')));
+    } catch (error) {
+        log('WARN', `Rejected ${provider} webhook: invalid JSON payload`);
+        sendJson(res, 400, { error: 'Invalid JSON payload' });
+        return;
     }
+    log('INFO', `Received ${provider} ${push.event} webhook${push.ref ? ` for ${push.ref}` : ''}${push.deliveryId ? ` (delivery ${push.deliveryId})` : ''}`);
     
-    return isValid;
-}
-
-// Execute deployment script
-function deployAnalytics(payload) {
-    log('INFO', 'Starting analytics deployment process...');
+    // The signature covers only the body, so a replayed body is caught even under a new delivery id
+    const bodyDigest = crypto.createHash('sha256').update(body).digest('hex');
+    const replayIds = [`body:${bodyDigest}`];
+    if (push.deliveryId) {
+        replayIds.push(`delivery:${push.deliveryId}`);
+    }
+    if (!replayGuard.accept(replayIds)) {
+        log('WARN', `Rejected replayed ${provider} webhook${push.deliveryId ? ` ${push.deliveryId}` : ''}`);
+        sendJson(res, 409, { error: 'Webhook delivery already processed' });
+        return;
+    }
     
-    const deployment = spawn('bash', [DEPLOY_SCRIPT], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        env: {
-            ...process.env,
-            HTTP_X_HUB_SIGNATURE_256: payload.signature
-        }
+    const route = matchRoute(routes, push);
+    if (!route) {
+        log('INFO', `Ignoring ${provider} ${push.event} event (no matching route)`);
+        sendJson(res, 200, {
+            status: 'ignored',
+            message: 'No route matches this event'
+        });
+        return;
+    }
+    
+    log('INFO', `${push.kind === 'tag' ? `Tag ${push.tag}` : `Push to ${push.branch}`} matches route ${route.id}: ${push.commitCount} commit(s)`);
+    if (push.message) {
+        log('INFO', `Latest commit: ${push.commit.substring(0, 7)} - ${push.message}`);
+    }
+    if (push.author) {
+        log('INFO', `Author: ${push.author}`);
+    }
+    
+    // Queue deployment of the pushed commit
+    const deployment = deploymentQueue.enqueue({
+        trigger: push.kind,
+        route: route.id,
+        provider,
+        ref: push.ref,
+        commit: push.commit,
+        author: push.author,
+        message: push.message,
+        script: route.script,
+        args: route.args
     });
     
-    // Log deployment output
-    deployment.stdout.on('data', (data) => {
-        const output = data.toString().trim();
-        if (output) {
-            log('DEPLOY', output);
-        }
+    sendJson(res, 200, {
+        status: 'success',
+        message: deployment.status === 'queued' ? 'Analytics deployment queued' : 'Analytics deployment triggered',
+        route: route.id,
+        commits: push.commitCount,
+        deployment: deployment.id
     });
+}
+
+// Redeploy the commit of an earlier successful deployment
+function handleRollback(req, res, id) {
+    const target = deploymentQueue.getDeployment(id);
+    if (!target) {
+        sendJson(res, 404, { error: `Unknown deployment ${id}` });
+        return;
+    }
+    if (target.status !== 'succeeded' || !target.commit) {
+        sendJson(res, 409, { error: `Deployment ${id} did not succeed; only successful deployments can be rolled back to` });
+        return;
+    }
     
-    deployment.stderr.on('data', (data) => {
-        const error = data.toString().trim();
-        if (error) {
-            log('DEPLOY_ERROR', error);
-        }
+    log('INFO', `Rolling back to ${target.commit.substring(0, 7)} from deployment #${id}`);
+    const deployment = deploymentQueue.enqueue({
+        trigger: 'rollback',
+        route: target.route,
+        provider: target.provider,
+        ref: target.ref,
+        commit: target.commit,
+        author: target.author,
+        message: target.message,
+        script: target.script || 'webhook-deploy.sh',
+        args: target.args || [],
+        rollbackOf: target.id
     });
+    sendJson(res, 202, { deployment: summarize(deployment) });
+}
+
+// /deployments, /deployments/:id and /deployments/:id/rollback
+function handleDeployments(req, res, url) {
+    if (!isApiAuthorized(req)) {
+        sendJson(res, DEPLOY_API_TOKEN ? 401 : 403, {
+            error: DEPLOY_API_TOKEN ? 'Authentication required' : 'Deployment API disabled - set DEPLOY_API_TOKEN'
+        });
+        return;
+    }
     
-    deployment.on('close', (code) => {
-        if (code === 0) {
-            log('INFO', 'Analytics deployment completed successfully');
+    const match = url.pathname.match(/^\/deployments(?:\/(\d+)(\/rollback)?)?\/?$/);
+    if (!match) {
+        sendJson(res, 404, { error: 'Not Found' });
+        return;
+    }
+    const id = match[1] ? parseInt(match[1], 10) : null;
+    const expectedMethod = match[2] ? 'POST' : 'GET';
+    if (req.method !== expectedMethod) {
+        res.writeHead(405, { 'Content-Type': 'text/plain', Allow: expectedMethod });
+        res.end('Method Not Allowed');
+        return;
+    }
+    
+    if (match[2]) {
+        handleRollback(req, res, id);
+    } else if (id) {
+        const deployment = deploymentQueue.getDeployment(id);
+        if (deployment) {
+            sendJson(res, 200, deployment);
         } else {
-            log('ERROR', `Analytics deployment failed with exit code ${code}`);
+            sendJson(res, 404, { error: `Unknown deployment ${id}` });
         }
-    });
-    
-    deployment.on('error', (error) => {
-        log('ERROR', `Failed to start analytics deployment: ${error.message}`);
-    });
+    } else {
+        const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 20, DEPLOYMENT_HISTORY_LIMIT);
+        sendJson(res, 200, {
+            ...deploymentQueue.getState(),
+            deployments: deploymentQueue.listDeployments().slice(0, limit)
+        });
+    }
 }
 
-// HTTP server to handle webhooks
+// HTTP server to handle webhooks, the deployment API and health checks
 const server = http.createServer((req, res) => {
-    if (req.method !== 'POST') {
-        res.writeHead(405, { 'Content-Type': 'text/plain' });
-        res.end('Method Not Allowed');
+    const url = new URL(req.url, 'http://localhost');
+    
+    if (url.pathname === '/health') {
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET' });
+            res.end('Method Not Allowed');
+            return;
+        }
+        sendJson(res, 200, {
+            status: 'healthy',
+            service: 'cloudflare-analytics-webhook',
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString(),
+            deployments: deploymentQueue.getState()
+        });
+        return;
+    }
+    
+    if (url.pathname === '/deployments' || url.pathname.startsWith('/deployments/')) {
+        handleDeployments(req, res, url);
         return;
     }
     
-    if (req.url !== '/webhook') {
+    if (url.pathname !== '/webhook') {
         res.writeHead(404, { 'Content-Type': 'text/plain' });
         res.end('Not Found');
         return;
     }
     
-    let body = '';
-    
-    req.on('data', (chunk) => {
-        body += chunk.toString();
-    });
+    if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'POST' });
+        res.end('Method Not Allowed');
+        return;
+    }
     
-    req.on('end', () => {
-        try {
-            const signature = req.headers['x-hub-signature-256'];
-            const event = req.headers['x-github-event'];
-            
-            log('INFO', `Received ${event} webhook from ${req.headers['user-agent']}`);
-            
-            // Verify signature
-            if (!verifySignature(body, signature)) {
-                res.writeHead(401, { 'Content-Type': 'text/plain' });
-                res.end('Unauthorized');
-                return;
-            }
-            
-            // Parse payload
-            const payload = JSON.parse(body);
-            
-            // Only deploy on push events to main branch
-            if (event === 'push' && payload.ref === 'refs/heads/main') {
-                const commits = payload.commits || [];
-                const commitCount = commits.length;
-                const lastCommit = commits[commitCount - 1];
-                
-                log('INFO', `Push to main branch: ${commitCount} commit(s)`);
-                if (lastCommit) {
-                    log('INFO', `Latest commit: ${lastCommit.id.substring(0, 7)} - ${lastCommit.message}`);
-                    log('INFO', `Author: ${lastCommit.author.name} <${lastCommit.author.email}>`);
-                }
-                
-                // Trigger deployment
-                deployAnalytics({
-                    signature: signature,
-                    payload: payload
-                });
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    status: 'success',
-                    message: 'Analytics deployment triggered',
-                    commits: commitCount
-                }));
-            } else {
-                log('INFO', `Ignoring ${event} event (not a push to main)`);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    status: 'ignored',
-                    message: 'Not a push to main branch'
-                }));
-            }
-            
-        } catch (error) {
-            log('ERROR', `Error processing webhook: ${error.message}`);
+    handleWebhook(req, res).catch((error) => {
+        log('ERROR', `Error processing webhook: ${error.message}`);
+        if (!res.headersSent) {
             res.writeHead(500, { 'Content-Type': 'text/plain' });
-            res.end('Internal Server Error');
         }
-    });
-    
-    req.on('error', (error) => {
-        log('ERROR', `Request error: ${error.message}`);
-        res.writeHead(400, { 'Content-Type': 'text/plain' });
-        res.end('Bad Request');
+        res.end('Internal Server Error');
     });
 });
 
-// Health check endpoint
-server.on('request', (req, res) => {
-    if (req.method === 'GET' && req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            status: 'healthy',
-            service: 'cloudflare-analytics-webhook',
-            uptime: process.uptime(),
-            timestamp: new Date().toISOString()
-        }));
-        return;
-    }
-});
-
 // Start server
-server.listen(PORT, () => {
-    log('INFO', `Cloudflare Analytics webhook listener started on port ${PORT}`);
-    log('INFO', `Health check available at http://localhost:${PORT}/health`);
-    log('INFO', `Webhook endpoint: http://localhost:${PORT}/webhook`);
+if (!startupFailed) {
+    server.listen(PORT, () => {
+        log('INFO', `Cloudflare Analytics webhook listener started on port ${PORT}`);
+        log('INFO', `Health check available at http://localhost:${PORT}/health`);
+        log('INFO', `Webhook endpoint: http://localhost:${PORT}/webhook`);
+        log('INFO', `Deployment API: http://localhost:${PORT}/deployments`);
     
-    if (!WEBHOOK_SECRET) {
-        log('WARN', 'GITHUB_WEBHOOK_SECRET not set - webhook signature verification disabled');
-    }
-});
+        log('INFO', `Webhook bodies limited to ${MAX_BODY_BYTES} bytes, replays rejected for ${REPLAY_WINDOW_SECONDS}s`);
+        if (allowlist) {
+            log('INFO', `Webhooks accepted only from ${process.env.WEBHOOK_ALLOWED_IPS}`);
+        }
+        if (!DEPLOY_API_TOKEN) {
+            log('WARN', 'DEPLOY_API_TOKEN not set - deployment history and rollback API disabled');
+        }
+    });
+}
 
-// Graceful shutdown
+// Graceful shutdown; each exit waits for the log file to take the last lines
 process.on('SIGINT', () => {
     log('INFO', 'Received SIGINT - shutting down analytics webhook listener');
     server.close(() => {
         log('INFO', 'Analytics webhook listener stopped');
-        process.exit(0);
+        closeLog(() => process.exit(0));
     });
 });
 
@@ -223,15 +359,14 @@ process.on('SIGTERM', () => {
     log('INFO', 'Received SIGTERM - shutting down analytics webhook listener');
     server.close(() => {
         log('INFO', 'Analytics webhook listener stopped');
-        process.exit(0);
+        closeLog(() => process.exit(0));
     });
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-    log('ERROR', `Uncaught exception: ${error.message}`);
-    log('ERROR', error.stack);
-    process.exit(1);
+    log('ERROR', `Uncaught exception: ${error.message}`, { stack: error.stack });
+    closeLog(() => process.exit(1));
 });
 
 process.on('unhandledRejection', (reason, promise) => {